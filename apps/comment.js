@@ -1,14 +1,29 @@
+const async = require('async');
+
 module.exports = function(express, model, config) {
 	express.post(`${config.url}/comment`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('comment.write')) { return; }
 
-		const {documentId, content, range} = req.body;
+		const {documentId, fileId, parentId, content, range} = req.body;
+		const [targetType, targetId] = (fileId ? ['file', fileId] : ['document', documentId]);
 
-		model.addComment(documentId, {
-			authorId: req.session.user.id,
-			content: content,
-			range: range
-		}, function(error, comment) {
+		async.waterfall([
+			function(callback) {
+				if (targetType === 'file') {
+					model.getFile(targetId, req.session.user, callback);
+				} else {
+					model.getDocument(targetId, req.session.user, callback);
+				}
+			},
+			function(target, callback) {
+				model.addComment(targetType, targetId, {
+					authorId: req.session.user.id,
+					parentId: parentId,
+					content: content,
+					range: range
+				}, callback);
+			}
+		], function(error, comment) {
 			res.jsonAuto({
 				error: error,
 				comment: comment
@@ -16,13 +31,32 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.post(`${config.url}/comment/preview`, function(req, res) {
+		if (res.shouldPermit('comment.write')) { return; }
+
+		model.previewContent((req.body.content || ''), false, req.session.user, function(error, preview) {
+			res.jsonAuto({
+				error: error,
+				html: (preview ? preview.html : null),
+				warnings: (preview ? preview.warnings : null)
+			});
+		});
+	});
+
 	express.put(`${config.url}/comment/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('comment.write')) { return; }
 
-		model.updateComment(req.params.id, {
-			authorId: req.session.user.id,
-			content: req.body.content
-		}, function(error, comment) {
+		async.waterfall([
+			function(callback) {
+				model.getCommentTarget(req.params.id, req.session.user, callback);
+			},
+			function(target, callback) {
+				model.updateComment(req.params.id, {
+					authorId: req.session.user.id,
+					content: req.body.content
+				}, req.session.user, callback);
+			}
+		], function(error, comment) {
 			res.jsonAuto({
 				error: error,
 				comment: comment
@@ -31,12 +65,55 @@ module.exports = function(express, model, config) {
 	});
 
 	express.delete(`${config.url}/comment/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('comment.write')) { return; }
 
-		model.removeComment(req.params.id, function(error) {
+		async.waterfall([
+			function(callback) {
+				model.getCommentTarget(req.params.id, req.session.user, callback);
+			},
+			function(target, callback) {
+				model.removeComment(req.params.id, req.session.user, callback);
+			}
+		], function(error) {
 			res.jsonAuto({
 				error: error
 			});
 		});
 	});
+
+	express.post(`${config.url}/comment/:id/resolve`, function(req, res) {
+		if (res.shouldPermit('comment.write')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getCommentTarget(req.params.id, req.session.user, callback);
+			},
+			function(target, callback) {
+				model.resolveComment(req.params.id, req.session.user.id, callback);
+			}
+		], function(error, comment) {
+			res.jsonAuto({
+				error: error,
+				comment: comment
+			});
+		});
+	});
+
+	express.post(`${config.url}/comment/:id/reopen`, function(req, res) {
+		if (res.shouldPermit('comment.write')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getCommentTarget(req.params.id, req.session.user, callback);
+			},
+			function(target, callback) {
+				model.reopenComment(req.params.id, callback);
+			}
+		], function(error, comment) {
+			res.jsonAuto({
+				error: error,
+				comment: comment
+			});
+		});
+	});
 };
\ No newline at end of file
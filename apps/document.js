@@ -5,7 +5,7 @@ const {diffBlocks} = require('../util/diff');
 
 module.exports = function(express, model, config) {
 	express.post(`${config.url}/document`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('document.write')) { return; }
 
 		model.addDocument({
 			authorId: req.session.user.id,
@@ -21,19 +21,58 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.post(`${config.url}/document/preview`, function(req, res) {
+		if (res.shouldPermit('document.write')) { return; }
+
+		model.previewContent((req.body.content || ''), false, req.session.user, function(error, preview) {
+			res.jsonAuto({
+				error: error,
+				html: (preview ? preview.html : null),
+				warnings: (preview ? preview.warnings : null)
+			});
+		});
+	});
+
 	express.get(`${config.url}/document/search`, function(req, res) {
-		const {query, type, after} = req.query;
+		const {query, type, cursor, limit} = req.query;
 
-		model.searchDocument(type, query, after, function(error, documents) {
+		model.searchDocument(type, query, cursor, limit, req.session.user, function(error, documents, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				documents: documents
+				documents: documents,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/document/archived`, function(req, res) {
+		if (res.shouldSignin()) { return; }
+
+		const {cursor, limit} = req.query;
+
+		model.searchDocument('archived', null, cursor, limit, req.session.user, function(error, documents, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				documents: documents,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/document/wanted`, function(req, res) {
+		const {cursor, limit} = req.query;
+
+		model.searchWantedDocument(cursor, limit, req.session.user, function(error, titles, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				titles: titles,
+				nextCursor: nextCursor
 			});
 		});
 	});
 
 	express.get(`${config.url}/document/:id`, function(req, res) {
-		model.getDocument(req.params.id, function(error, document) {
+		model.getDocument(req.params.id, req.session.user, function(error, document) {
 			res.jsonAuto({
 				error: error,
 				document: document
@@ -42,17 +81,48 @@ module.exports = function(express, model, config) {
 	});
 
 	express.get(`${config.url}/document/:id/history`, function(req, res) {
+		const {cursor, limit} = req.query;
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.searchDocument('history', document.historyId, cursor, limit, req.session.user, callback);
+			}
+		], function(error, documents, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				documents: documents,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/document/:id/comments`, function(req, res) {
+		const {cursor, limit} = req.query;
+
 		async.waterfall([
 			function(callback) {
-				model.getDocument(req.params.id, callback);
+				model.getDocument(req.params.id, req.session.user, callback);
 			},
 			function(document, callback) {
-				model.searchDocument('history', document.historyId, null, callback);
+				model.searchComment('document', document.id, cursor, limit, callback);
 			}
-		], function(error, documents) {
+		], function(error, comments, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				documents: documents
+				comments: comments,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/document/:id/outline`, function(req, res) {
+		model.getDocument(req.params.id, req.session.user, function(error, document) {
+			res.jsonAuto({
+				error: error,
+				outline: (document ? document.outline : null)
 			});
 		});
 	});
@@ -64,7 +134,7 @@ module.exports = function(express, model, config) {
 		async.waterfall([
 			function(callback) {
 				async.map([thisId, thatId], function(id, callback) {
-					model.getDocument(id, callback);
+					model.getDocument(id, req.session.user, callback);
 				}, callback);
 			},
 			function(documents, callback) {
@@ -80,20 +150,69 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.get(`${config.url}/document/:id/backlinks`, function(req, res) {
+		const {cursor, limit} = req.query;
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.searchLink('document', document.historyId, cursor, limit, req.session.user, callback);
+			}
+		], function(error, links, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				links: links,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
 	express.put(`${config.url}/document/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('document.write')) { return; }
 
 		const authorId = req.session.user.id;
-		const {historyId, revision, title, content, tags} = req.body;
-
-		model.updateDocument(req.params.id, {
-			historyId: historyId,
-			revision: revision,
-			authorId: authorId,
-			title: title,
-			content: content,
-			tags: tags
-		}, function(error, document) {
+		const {historyId, title, content, tags, merge} = req.body;
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.updateDocument(req.params.id, {
+					historyId: historyId,
+					authorId: authorId,
+					title: title,
+					content: content,
+					tags: tags,
+					merge: (merge === true || merge === 'true')
+				}, callback);
+			}
+		], function(error, document) {
+			res.jsonAuto({
+				error: error,
+				document: document
+			});
+		});
+	});
+
+	express.post(`${config.url}/document/:id/revert`, function(req, res) {
+		if (res.shouldPermit('document.write')) { return; }
+
+		const {to, reason} = req.body;
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.revertDocument(req.params.id, to, {
+					authorId: req.session.user.id,
+					reason: reason
+				}, callback);
+			}
+		], function(error, document) {
 			res.jsonAuto({
 				error: error,
 				document: document
@@ -101,11 +220,111 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.put(`${config.url}/document/:id/visibility`, function(req, res) {
+		if (res.shouldPermit('document.visibility')) { return; }
+
+		const {level, userIds, roles} = req.body;
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.updateVisibility('document', document.historyId, {
+					level: level,
+					userIds: userIds,
+					roles: roles
+				}, callback);
+			}
+		], function(error, visibility) {
+			res.jsonAuto({
+				error: error,
+				visibility: visibility
+			});
+		});
+	});
+
+	express.put(`${config.url}/document/:id/watch`, function(req, res) {
+		if (res.shouldPermit('document.watch')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.addWatch(req.session.user.id, 'document', document.historyId, callback);
+			}
+		], function(error, watch) {
+			res.jsonAuto({
+				error: error,
+				watch: watch
+			});
+		});
+	});
+
+	express.delete(`${config.url}/document/:id/watch`, function(req, res) {
+		if (res.shouldPermit('document.watch')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.removeWatch(req.session.user.id, 'document', document.historyId, callback);
+			}
+		], function(error) {
+			res.jsonAuto({ error: error });
+		});
+	});
+
 	express.delete(`${config.url}/document/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('document.archive')) { return; }
 
-		model.archiveDocument(req.params.id, function(error) {
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.archiveDocument(req.params.id, req.session.user.id, callback);
+			}
+		], function(error) {
 			res.jsonAuto({ error: error });
 		});
 	});
+
+	express.post(`${config.url}/document/:id/restore`, function(req, res) {
+		if (res.shouldPermit('document.archive')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.restoreDocument(req.params.id, callback);
+			}
+		], function(error, document) {
+			res.jsonAuto({
+				error: error,
+				document: document
+			});
+		});
+	});
+
+	express.put(`${config.url}/document/:id/slug`, function(req, res) {
+		if (res.shouldPermit('document.write')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getDocument(req.params.id, req.session.user, callback);
+			},
+			function(document, callback) {
+				model.updateSlug(document.historyId, req.body.slug, callback);
+			}
+		], function(error, slug) {
+			res.jsonAuto({
+				error: error,
+				slug: slug
+			});
+		});
+	});
 };
\ No newline at end of file
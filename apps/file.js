@@ -1,15 +1,54 @@
 const async = require('async');
 const formidable = require('formidable');
+const Jimp = require('jimp');
 const path = require('path');
 const fs = require('fs');
 
 const messages = require('../static/messages.json');
 
+// The dimensions are left empty for the images Jimp can't read, so the upload doesn't fail because of them
+function readUpload(upload, callback) {
+	const info = {
+		filename: path.basename(upload.path),
+		originalName: (upload.name || null),
+		mimeType: (upload.type || null),
+		size: upload.size
+	};
+
+	if (!info.mimeType || !info.mimeType.startsWith('image/')) {
+		callback(null, info);
+		return;
+	}
+
+	Jimp.read(upload.path, function(error, image) {
+		if (!error) {
+			info.width = image.bitmap.width;
+			info.height = image.bitmap.height;
+		}
+
+		callback(null, info);
+	});
+}
+
+// A multipart form can't carry an array of objects, so the tags are sent as a JSON string. Returns null if it is broken.
+function parseTags(value) {
+	if (!value) {
+		return [];
+	}
+
+	try {
+		const tags = JSON.parse(value);
+		return (Array.isArray(tags) ? tags : null);
+	} catch (error) {
+		return null;
+	}
+}
+
 module.exports = function(express, model, config) {
 	const uploadDirPath = path.join(__dirname, '..', 'static', 'file');
 
 	express.post(`${config.url}/file`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('file.write')) { return; }
 
 		async.waterfall([
 			function(callback) {
@@ -21,13 +60,16 @@ module.exports = function(express, model, config) {
 				form.parse(req, callback);
 			},
 			function(fields, files, callback) {
-				if (files.stream) {
-					model.addFile({
-						authorId: req.session.user.id,
-						filename: path.basename(files.stream.path),
-						content: fields.content,
-						tags: fields.tags
-					}, callback);
+				const tags = parseTags(fields.tags);
+
+				if (files.stream && tags) {
+					readUpload(files.stream, function(error, info) {
+						model.addFile(Object.assign(info, {
+							authorId: req.session.user.id,
+							content: fields.content,
+							tags: tags
+						}), callback);
+					});
 				} else {
 					async.each(files, function(file, callback) {
 						fs.unlink(file.path, callback);
@@ -45,18 +87,33 @@ module.exports = function(express, model, config) {
 	});
 
 	express.get(`${config.url}/file/search`, function(req, res) {
-		const {query, type, after} = req.query;
+		const {query, type, cursor, limit} = req.query;
 
-		model.searchFile(type, query, after, function(error, files) {
+		model.searchFile(type, query, cursor, limit, req.session.user, function(error, files, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				files: files
+				files: files,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/file/archived`, function(req, res) {
+		if (res.shouldSignin()) { return; }
+
+		const {cursor, limit} = req.query;
+
+		model.searchFile('archived', null, cursor, limit, req.session.user, function(error, files, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				files: files,
+				nextCursor: nextCursor
 			});
 		});
 	});
 
 	express.get(`${config.url}/file/:id`, function(req, res) {
-		model.getFile(req.params.id, function(error, file) {
+		model.getFile(req.params.id, req.session.user, function(error, file) {
 			res.jsonAuto({
 				error: error,
 				file: file
@@ -67,7 +124,7 @@ module.exports = function(express, model, config) {
 	express.get(`${config.url}/file/:id/stream`, function(req, res) {
 		async.waterfall([
 			function(callback) {
-				model.getFile(req.params.id, callback);
+				model.getFile(req.params.id, req.session.user, callback);
 			},
 			function(file, callback) {
 				res.sendFile(path.join(uploadDirPath, file.filename), callback);
@@ -79,27 +136,71 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.get(`${config.url}/file/:id/comments`, function(req, res) {
+		const {cursor, limit} = req.query;
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.searchComment('file', file.id, cursor, limit, callback);
+			}
+		], function(error, comments, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				comments: comments,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
 	express.get(`${config.url}/file/:id/history`, function(req, res) {
+		const {cursor, limit} = req.query;
+
 		async.waterfall([
 			function(callback) {
-				model.getFile(req.params.id, callback);
+				model.getFile(req.params.id, req.session.user, callback);
 			},
 			function(file, callback) {
-				model.searchDocument('history', file.historyId, null, callback);
+				model.searchFile('history', file.historyId, cursor, limit, req.session.user, callback);
 			}
-		], function(error, files) {
+		], function(error, files, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				files: files
+				files: files,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/file/:id/usages`, function(req, res) {
+		const {cursor, limit} = req.query;
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.searchLink('file', file.historyId, cursor, limit, req.session.user, callback);
+			}
+		], function(error, links, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				links: links,
+				nextCursor: nextCursor
 			});
 		});
 	});
 
 	express.put(`${config.url}/file/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('file.write')) { return; }
 
 		async.waterfall([
 			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
 				const form = new formidable.IncomingForm();
 
 				form.uploadDir = uploadDirPath;
@@ -108,14 +209,17 @@ module.exports = function(express, model, config) {
 				form.parse(req, callback);
 			},
 			function(fields, files, callback) {
-				if (files.stream) {
-					model.updateFile({
-						historyId: fields.historyId,
-						authorId: req.session.user.id,
-						filename: path.basename(files.stream.path),
-						content: fields.content,
-						tags: fields.tags
-					}, callback);
+				const tags = parseTags(fields.tags);
+
+				if (files.stream && tags) {
+					readUpload(files.stream, function(error, info) {
+						model.updateFile(req.params.id, Object.assign(info, {
+							historyId: fields.historyId,
+							authorId: req.session.user.id,
+							content: fields.content,
+							tags: tags
+						}), callback);
+					});
 				} else {
 					async.each(files, function(file, callback) {
 						fs.unlink(file.path, callback);
@@ -132,11 +236,116 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.post(`${config.url}/file/:id/revert`, function(req, res) {
+		if (res.shouldPermit('file.write')) { return; }
+
+		const {to, reason} = req.body;
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.revertFile(req.params.id, to, {
+					authorId: req.session.user.id,
+					reason: reason
+				}, callback);
+			}
+		], function(error, file) {
+			res.jsonAuto({
+				error: error,
+				file: file
+			});
+		});
+	});
+
+	express.put(`${config.url}/file/:id/visibility`, function(req, res) {
+		if (res.shouldPermit('file.visibility')) { return; }
+
+		const {level, userIds, roles} = req.body;
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.updateVisibility('file', file.historyId, {
+					level: level,
+					userIds: userIds,
+					roles: roles
+				}, callback);
+			}
+		], function(error, visibility) {
+			res.jsonAuto({
+				error: error,
+				visibility: visibility
+			});
+		});
+	});
+
+	express.put(`${config.url}/file/:id/watch`, function(req, res) {
+		if (res.shouldPermit('file.watch')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.addWatch(req.session.user.id, 'file', file.historyId, callback);
+			}
+		], function(error, watch) {
+			res.jsonAuto({
+				error: error,
+				watch: watch
+			});
+		});
+	});
+
+	express.delete(`${config.url}/file/:id/watch`, function(req, res) {
+		if (res.shouldPermit('file.watch')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.removeWatch(req.session.user.id, 'file', file.historyId, callback);
+			}
+		], function(error) {
+			res.jsonAuto({ error: error });
+		});
+	});
+
 	express.delete(`${config.url}/file/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('file.archive')) { return; }
 
-		model.archiveFile(req.params.id, function(error) {
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.archiveFile(req.params.id, req.session.user.id, callback);
+			}
+		], function(error) {
 			res.jsonAuto({ error: error });
 		});
 	});
+
+	express.post(`${config.url}/file/:id/restore`, function(req, res) {
+		if (res.shouldPermit('file.archive')) { return; }
+
+		async.waterfall([
+			function(callback) {
+				model.getFile(req.params.id, req.session.user, callback);
+			},
+			function(file, callback) {
+				model.restoreFile(req.params.id, callback);
+			}
+		], function(error, file) {
+			res.jsonAuto({
+				error: error,
+				file: file
+			});
+		});
+	});
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+module.exports = function(express, model, config) {
+	express.get(`${config.url}/notification`, function(req, res) {
+		if (res.shouldPermit('user.notification')) { return; }
+
+		const {unread, cursor, limit} = req.query;
+
+		model.searchNotification(req.session.user, (unread === 'true'), cursor, limit, function(error, notifications, nextCursor, unreadCount) {
+			res.jsonAuto({
+				error: error,
+				notifications: notifications,
+				nextCursor: nextCursor,
+				unreadCount: unreadCount
+			});
+		});
+	});
+
+	express.post(`${config.url}/notification/read`, function(req, res) {
+		if (res.shouldPermit('user.notification')) { return; }
+
+		model.readAllNotification(req.session.user, function(error, unreadCount) {
+			res.jsonAuto({
+				error: error,
+				unreadCount: unreadCount
+			});
+		});
+	});
+
+	express.post(`${config.url}/notification/:id/read`, function(req, res) {
+		if (res.shouldPermit('user.notification')) { return; }
+
+		model.readNotification(req.session.user, req.params.id, function(error, notification, unreadCount) {
+			res.jsonAuto({
+				error: error,
+				notification: notification,
+				unreadCount: unreadCount
+			});
+		});
+	});
+};
\ No newline at end of file
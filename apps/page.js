@@ -0,0 +1,15 @@
+module.exports = function(express, model, config) {
+	express.get(`${config.url}/page/:slug`, function(req, res) {
+		model.getPage(req.params.slug, req.session.user, function(error, document, redirectSlug) {
+			if (redirectSlug) {
+				res.redirect(301, `${config.url}/page/${encodeURIComponent(redirectSlug)}`);
+				return;
+			}
+
+			res.jsonAuto({
+				error: error,
+				document: document
+			});
+		});
+	});
+};
\ No newline at end of file
@@ -2,11 +2,15 @@ module.exports = function(express, model, config) {
 	express.put(`${config.url}/session`, function(req, res) {
 		const {id, password} = req.body;
 
-		model.authUser(id, password, function(error, user) {
+		model.authUser(id, password, req.ip, function(error, user) {
 			if (!error && user) {
 				req.session.user = user;
 			}
 
+			if (error && error.retryAfter) {
+				res.set('Retry-After', String(error.retryAfter));
+			}
+
 			res.jsonAuto({
 				error: error,
 				user: user
@@ -1,17 +1,18 @@
 module.exports = function(express, model, config) {
 	express.get(`${config.url}/tag/search`, function(req, res) {
-		const {query, after} = req.query;
+		const {query, cursor, limit} = req.query;
 
-		model.searchTag(query, after, function(error, tags) {
+		model.searchTag(query, cursor, limit, function(error, tags, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				tags: tags
+				tags: tags,
+				nextCursor: nextCursor
 			});
 		});
 	});
 
 	express.put(`${config.url}/tag/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('tag.write')) { return; }
 
 		const {id} = req.params;
 		const {title, color} = req.body;
@@ -28,7 +29,7 @@ module.exports = function(express, model, config) {
 	});
 
 	express.delete(`${config.url}/tag/:id`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('tag.write')) { return; }
 
 		model.removeTag(req.params.id, function(error) {
 			res.jsonAuto({
@@ -30,12 +30,13 @@ module.exports = function(express, model, config) {
 	});
 
 	express.get(`${config.url}/user/search`, function(req, res) {
-		const {query, after} = req.query;
+		const {query, cursor, limit} = req.query;
 
-		model.searchUser(query, after, function(error, users) {
+		model.searchUser(query, cursor, limit, function(error, users, nextCursor) {
 			res.jsonAuto({
 				error: error,
-				users: users
+				users: users,
+				nextCursor: nextCursor
 			});
 		});
 	});
@@ -102,7 +103,7 @@ module.exports = function(express, model, config) {
 	});
 
 	express.put(`${config.url}/user/me`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('user.write')) { return; }
 
 		async.waterfall([
 			function(callback) {
@@ -158,8 +159,83 @@ module.exports = function(express, model, config) {
 		});
 	});
 
+	express.get(`${config.url}/user/me/tokens`, function(req, res) {
+		if (res.shouldPermit('token.write')) { return; }
+
+		model.searchToken(req.session.user.id, function(error, tokens) {
+			res.jsonAuto({
+				error: error,
+				tokens: tokens
+			});
+		});
+	});
+
+	express.post(`${config.url}/user/me/tokens`, function(req, res) {
+		if (res.shouldPermit('token.write')) { return; }
+
+		const {name, scopes, expiresAt} = req.body;
+
+		model.addToken(req.session.user.id, {
+			name: name,
+			scopes: scopes,
+			expiresAt: expiresAt
+		}, function(error, token) {
+			res.jsonAuto({
+				error: error,
+				token: token
+			});
+		});
+	});
+
+	express.delete(`${config.url}/user/me/tokens/:id`, function(req, res) {
+		if (res.shouldPermit('token.write')) { return; }
+
+		model.removeToken(req.session.user.id, req.params.id, function(error) {
+			res.jsonAuto({ error: error });
+		});
+	});
+
+	express.get(`${config.url}/user/me/watchlist`, function(req, res) {
+		if (res.shouldPermit('user.watch')) { return; }
+
+		const {cursor, limit} = req.query;
+
+		model.searchWatch(req.session.user, cursor, limit, function(error, watches, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				watches: watches,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.get(`${config.url}/user/me/feed`, function(req, res) {
+		if (res.shouldPermit('user.watch')) { return; }
+
+		const {cursor, limit} = req.query;
+
+		model.searchFeed(req.session.user, cursor, limit, function(error, items, nextCursor) {
+			res.jsonAuto({
+				error: error,
+				items: items,
+				nextCursor: nextCursor
+			});
+		});
+	});
+
+	express.put(`${config.url}/user/:id/role`, function(req, res) {
+		if (res.shouldPermit('user.role')) { return; }
+
+		model.updateUserRole(req.params.id, req.body.role, function(error, user) {
+			res.jsonAuto({
+				error: error,
+				user: user
+			});
+		});
+	});
+
 	express.delete(`${config.url}/user/me`, function(req, res) {
-		if (res.shouldSignin()) { return; }
+		if (res.shouldPermit('user.write')) { return; }
 
 		async.parallel([
 			function(callback) {
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+const util = require('util');
+
+const PersistModel = require('../model/persist.js');
+const messages = require('../static/messages.json');
+
+// Used to give the first administrator the role, as only an administrator can change the roles through the API
+const [id, role] = process.argv.slice(2, 4);
+
+// Accepts the same value as `options.database.persist`, either a database URI or a JSON array of arguments
+const persistConfig = (function(arg) {
+	if (!arg) {
+		return 'mysql://127.0.0.1:3306/kokoto';
+	} else if (arg.startsWith('[')) {
+		return JSON.parse(arg);
+	} else {
+		return arg;
+	}
+})(process.argv[4]);
+
+if (!id || !role) {
+	console.error('Usage: grant-role <user id> <role> [database]');
+	process.exit(1);
+}
+
+const persist = new PersistModel(persistConfig);
+
+persist.sync(false).then(function() {
+	return persist.client.transaction(function(trx) {
+		return persist.updateUserRole(id, role, trx);
+	});
+}).then(function(user) {
+	console.log(util.format(messages.role_granted, user.id, user.role));
+	return persist.client.close();
+}).catch(function(error) {
+	console.error(error);
+	process.exitCode = 1;
+	return persist.client.close();
+});
\ No newline at end of file
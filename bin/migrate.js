@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+const util = require('util');
+
+const PersistModel = require('../model/persist.js');
+const messages = require('../static/messages.json');
+
+// Accepts the same value as `options.database.persist`, either a database URI or a JSON array of arguments
+const persistConfig = (function(arg) {
+	if (!arg) {
+		return 'mysql://127.0.0.1:3306/kokoto';
+	} else if (arg.startsWith('[')) {
+		return JSON.parse(arg);
+	} else {
+		return arg;
+	}
+})(process.argv[2]);
+
+const persist = new PersistModel(persistConfig);
+
+persist.migrate().then(function(result) {
+	console.log(util.format(messages.database_migrated, result.columns, result.revisions));
+	return persist.client.close();
+}).catch(function(error) {
+	console.error(error);
+	process.exitCode = 1;
+	return persist.client.close();
+});
\ No newline at end of file
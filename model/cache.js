@@ -64,6 +64,38 @@ class CacheModel {
 		this.do('del', 'tags', callback);
 	}
 
+	// Concurrent failures are all counted, as the count is increased in the same transaction setting the others
+	increaseAttempt(key, attempt, ttl, callback) {
+		if (this.client === null) {
+			callback(new Error(messages.cache_not_configured));
+			return;
+		}
+
+		const cacheKey = `throttle.${key}`;
+
+		this.client.multi()
+			.hincrby(cacheKey, 'count', 1)
+			.hmset(cacheKey, 'failedAt', attempt.failedAt, 'freeAttempts', attempt.freeAttempts)
+			.expire(cacheKey, ttl)
+			.exec(function(error) {
+				callback(error);
+			});
+	}
+
+	loadAttempt(key, callback) {
+		this.do('hgetall', `throttle.${key}`, function(error, attempt) {
+			if (error) {
+				callback(error, null);
+			} else {
+				callback(null, (attempt ? _.mapValues(attempt, Number) : null));
+			}
+		});
+	}
+
+	clearAttempt(key, callback) {
+		this.do('del', `throttle.${key}`, callback);
+	}
+
 	do(method, ...args) {
 		if (this.client === null) {
 			const callback = _.last(args);
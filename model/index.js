@@ -1,12 +1,31 @@
 const async = require('async');
+const Promise = require('bluebird');
 
 const PersistModel = require('./persist.js');
 const CacheModel = require('./cache.js');
+const ThrottleModel = require('./throttle.js');
+
+const Cursor = require('../util/cursor');
+const {canView} = require('../util/permission');
+const {HttpError} = require('../server/error');
+
+function checkVisibility(user, item) {
+	if (!canView(user, item.visibility)) {
+		throw new HttpError('permission_denied', 403);
+	}
+
+	return item;
+}
 
 class KokotoModel {
 	constructor(config) {
-		this.persist = new PersistModel(config.database.persist);
+		this.persist = new PersistModel(config.database.persist, {
+			password: config.password,
+			url: config.url,
+			sanitize: config.sanitize
+		});
 		this.cache = new CacheModel(config.database.cache);
+		this.throttle = new ThrottleModel(this.cache, config.throttle);
 
 		this.config = config;
 	}
@@ -26,25 +45,59 @@ class KokotoModel {
 			.asCallback(callback);
 	}
 
-	authUser(id, password, callback) {
-		this.persist
-			.authUser(id, password, null)
-			.then(function(user) {
-				return user.finalize(null);
-			})
-			.asCallback(callback);
+	authUser(id, password, ip, callback) {
+		const accountKey = `user:${String(id).toLowerCase()}`;
+		const ipKey = `ip:${ip}`;
+
+		async.waterfall([
+			(callback) => {
+				this.throttle.check([accountKey, ipKey], callback);
+			},
+			(retryAfter, callback) => {
+				if (retryAfter > 0) {
+					const error = new HttpError('signin_throttled', 429);
+					error.retryAfter = retryAfter;
+
+					callback(error, null);
+					return;
+				}
+
+				this.doWithTrx(this.persist.authUser, id, password, callback);
+			}
+		], (error, user) => {
+			if (error && error.status === 401) {
+				async.parallel([
+					(callback) => {
+						this.throttle.fail(accountKey, this.config.throttle.accountAttempts, callback);
+					},
+					(callback) => {
+						this.throttle.fail(ipKey, this.config.throttle.ipAttempts, callback);
+					}
+				], function() {
+					callback(error, null);
+				});
+			} else if (error) {
+				callback(error, null);
+			} else {
+				// Only the account is reset, so that a valid account doesn't reset the failures made from the address
+				this.throttle.reset(accountKey, function() {
+					callback(null, user);
+				});
+			}
+		});
 	}
 
-	searchUser(query, lastId, callback) {
+	searchUser(query, cursor, limit, callback) {
 		query = (query || '');
-		lastId = (lastId || '\0');
 
-		this.persist
-			.searchUser(query, [lastId, this.config.site.pagination], null)
-			.map(function(user) {
-				return user.finalize(null);
+		Promise
+			.try(() => {
+				return this.persist.searchUser(query, this.createPagination('user', cursor, limit), null);
 			})
-			.asCallback(callback);
+			.spread((users, next) => {
+				return this.finalizePage('user', users, next);
+			})
+			.asCallback(callback, { spread: true });
 	}
 
 	addUser(user, callback) {
@@ -55,11 +108,50 @@ class KokotoModel {
 		this.doWithTrx(this.persist.updateUser, id, user, callback);
 	}
 
+	updateUserRole(id, role, callback) {
+		this.doWithTrx(this.persist.updateUserRole, id, role, callback);
+	}
+
 	removeUser(id, callback) {
 		this.doWithTrx(this.persist.removeUser, id, callback);
 	}
 
-	getDocument(id, callback) {
+	searchToken(userId, callback) {
+		this.persist
+			.searchToken(userId, null)
+			.map(function(token) {
+				return token.finalize(null);
+			})
+			.asCallback(callback);
+	}
+
+	addToken(userId, token, callback) {
+		this.doWithTrx(this.persist.addToken, userId, token, callback);
+	}
+
+	removeToken(userId, id, callback) {
+		this.doWithTrx(this.persist.removeToken, userId, id, callback);
+	}
+
+	authToken(secret, callback) {
+		this.persist
+			.authToken(secret, null)
+			.then(function(token) {
+				return Promise.all([
+					token.getUser().then(function(user) {
+						return user.finalize(null);
+					}),
+					token.finalize(null)
+				]);
+			})
+			.spread(function(user, token) {
+				user.scopes = token.scopes;
+				return user;
+			})
+			.asCallback(callback);
+	}
+
+	getDocument(id, user, callback) {
 		async.waterfall([
 			(callback) => {
 				this.cache.loadDocument(id, function(error, cachedDocument) {
@@ -74,98 +166,206 @@ class KokotoModel {
 
 				this.persist
 					.getDocument(id, null)
-					.then(function(document) {
-						return document.finalize(null);
-					})
 					.then((document) => {
+						return Promise.all([
+							document.finalize(null),
+							this.persist.getHeadDocument(document.historyId, null),
+							this.persist.getPrimarySlug(document.historyId, null)
+						]);
+					})
+					.spread((document, headDocument, slug) => {
+						document.headId = (headDocument ? headDocument.id : null);
+						document.isLatest = (document.id === document.headId);
+						document.slug = (slug ? slug.slug : null);
+
 						this.cache.saveDocument(document);
 						return document;
 					})
 					.asCallback(callback);
+			},
+			(document, callback) => {
+				Promise.try(function() {
+					return checkVisibility(user, document);
+				}).asCallback(callback);
+			}
+		], callback);
+	}
+
+	// Calls back with the head revision, or with the current slug when an old slug is given
+	getPage(slug, user, callback) {
+		async.waterfall([
+			(callback) => {
+				this.persist
+					.getPage(slug, null)
+					.asCallback(callback, { spread: true });
+			},
+			(headId, redirectSlug, callback) => {
+				if (redirectSlug) {
+					callback(null, null, redirectSlug);
+					return;
+				}
+
+				this.getDocument(headId, user, function(error, document) {
+					callback(error, document, null);
+				});
 			}
 		], callback);
 	}
 
-	searchDocument(type, query, lastId, callback) {
+	updateSlug(historyId, slug, callback) {
+		this.doWithTrx(this.persist.updateSlug, historyId, slug, this.clearDocumentAfter(callback));
+	}
+
+	searchDocument(type, query, cursor, limit, user, callback) {
+		const scope = `document.${type}`;
 		query = (query || '');
-		lastId = (lastId || -1);
 
-		this.persist
-			.searchDocument(type, query, [lastId, this.config.site.pagination], null)
-			.map(function(document) {
-				return document.finalize(null);
+		Promise
+			.try(() => {
+				return this.persist.searchDocument(type, query, this.createPagination(scope, cursor, limit), user, null);
 			})
+			.spread((documents, next) => {
+				return this.finalizePage(scope, documents, next);
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	previewContent(content, inline, user, callback) {
+		this.persist
+			.previewContent(content, inline, user)
 			.asCallback(callback);
 	}
 
 	addDocument(document, callback) {
-		this.doWithTrx(this.persist.addDocument, document, callback);
+		this.doWithTrx(this.persist.addDocument, document, this.rerenderLinkSourcesAfter('document', callback));
 	}
 
 	updateDocument(id, document, callback) {
-		this.doWithTrx(this.persist.updateDocument, id, document, callback);
+		this.doWithTrx(this.persist.updateDocument, id, document, this.rerenderLinkSourcesAfter('document', callback));
 	}
 
-	archiveDocument(id, callback) {
-		this.doWithTrx(this.persist.archiveDocument, id, callback);
+	revertDocument(id, targetId, revert, callback) {
+		this.doWithTrx(this.persist.revertDocument, id, targetId, revert, this.rerenderLinkSourcesAfter('document', callback));
 	}
 
-	getFile(id, callback) {
-		this.doWithoutTrx(this.persist.getFile, id, callback);
+	archiveDocument(id, archiverId, callback) {
+		this.doWithTrx(this.persist.archiveDocument, id, archiverId, this.rerenderLinkSourcesAfter('document', callback));
 	}
 
-	searchFile(type, query, lastId, callback) {
-		query = (query || '');
-		lastId = (lastId || -1);
+	restoreDocument(id, callback) {
+		this.doWithTrx(this.persist.restoreDocument, id, this.rerenderLinkSourcesAfter('document', callback));
+	}
 
+	getFile(id, user, callback) {
 		this.persist
-			.searchFile(type, query, [lastId, this.config.site.pagination], null)
-			.map(function(file) {
+			.getFile(id, null)
+			.then(function(file) {
 				return file.finalize(null);
 			})
+			.then(function(file) {
+				return checkVisibility(user, file);
+			})
 			.asCallback(callback);
 	}
 
+	searchFile(type, query, cursor, limit, user, callback) {
+		const scope = `file.${type}`;
+		query = (query || '');
+
+		Promise
+			.try(() => {
+				return this.persist.searchFile(type, query, this.createPagination(scope, cursor, limit), user, null);
+			})
+			.spread((files, next) => {
+				return this.finalizePage(scope, files, next);
+			})
+			.asCallback(callback, { spread: true });
+	}
+
 	addFile(file, callback) {
 		this.doWithTrx(this.persist.addFile, file, callback);
 	}
 
 	updateFile(id, file, callback) {
-		this.doWithTrx(this.persist.updateFile, id, file, callback);
+		this.doWithTrx(this.persist.updateFile, id, file, this.rerenderLinkSourcesAfter('file', callback));
+	}
+
+	revertFile(id, targetId, revert, callback) {
+		this.doWithTrx(this.persist.revertFile, id, targetId, revert, this.rerenderLinkSourcesAfter('file', callback));
 	}
 
-	archiveFile(id, callback) {
-		this.doWithTrx(this.persist.archiveFile, id, callback);
+	archiveFile(id, archiverId, callback) {
+		this.doWithTrx(this.persist.archiveFile, id, archiverId, this.rerenderLinkSourcesAfter('file', callback));
 	}
 
-	searchTag(query, lastId, callback) {
+	restoreFile(id, callback) {
+		this.doWithTrx(this.persist.restoreFile, id, this.rerenderLinkSourcesAfter('file', callback));
+	}
+
+	searchWantedDocument(cursor, limit, user, callback) {
+		Promise
+			.try(() => {
+				return this.persist.searchWantedDocument(this.createPagination('wanted', cursor, limit), user, null);
+			})
+			.spread((titles, next) => {
+				return [titles, Cursor.encode('wanted', next, this.config.secret)];
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	searchLink(targetType, historyId, cursor, limit, user, callback) {
+		const scope = `link.${targetType}`;
+
+		Promise
+			.try(() => {
+				return this.persist.searchLink(targetType, historyId, this.createPagination(scope, cursor, limit), user, null);
+			})
+			.spread((links, next) => {
+				return this.finalizePage(scope, links, next);
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	// The stored HTML embeds only what the public can see, so the pages linking to the target are rendered again
+	updateVisibility(targetType, historyId, visibility, callback) {
+		this.doWithTrx(this.persist.updateVisibility, historyId, visibility, this.rerenderLinkSourcesAfter(targetType, callback));
+	}
+
+	searchTag(query, cursor, limit, callback) {
 		query = (query || '');
-		lastId = (lastId || -1);
 
 		async.waterfall([
 			(callback) => {
-				this.cache.loadTagSearch(query, lastId, function(error, cachedTags) {
-					callback(null, cachedTags);
+				this.cache.loadTagSearch(query, `${cursor}.${limit}`, function(error, cachedPage) {
+					callback(null, cachedPage);
 				});
 			},
-			(cachedTags, callback) => {
-				if (cachedTags) {
-					callback(null, cachedTags);
+			(cachedPage, callback) => {
+				if (cachedPage) {
+					callback(null, cachedPage);
 					return;
 				}
 
-				this.persist
-					.searchTag(query, [lastId, this.config.site.pagination], null)
-					.map(function(tag) {
-						return tag.finalize(null);
+				Promise
+					.try(() => {
+						return this.persist.searchTag(query, this.createPagination('tag', cursor, limit), null);
 					})
-					.then((tags) => {
-						this.cache.saveTagSearch(query, lastId, tags);
-						return tags;
+					.spread((tags, next) => {
+						return this.finalizePage('tag', tags, next);
+					})
+					.then((page) => {
+						this.cache.saveTagSearch(query, `${cursor}.${limit}`, page);
+						return page;
 					})
 					.asCallback(callback);
 			}
-		], callback);
+		], function(error, page) {
+			if (error) {
+				callback(error, null, null);
+			} else {
+				callback(null, page[0], page[1]);
+			}
+		});
 	}
 
 	updateTag(id, tag, callback) {
@@ -182,22 +382,204 @@ class KokotoModel {
 		this.cache.clearTagSearch();
 	}
 
-	addComment(documentId, comment, callback) {
-		this.doWithTrx(this.persist.addComment, documentId, comment, callback);
+	searchComment(targetType, targetId, cursor, limit, callback) {
+		const scope = `comment.${targetType}`;
 
-		this.cache.clearDocument();
+		Promise
+			.try(() => {
+				return this.persist.searchComment(targetType, targetId, this.createPagination(scope, cursor, limit), null);
+			})
+			.spread((comments, next) => {
+				return this.finalizePage(scope, comments, next);
+			})
+			.asCallback(callback, { spread: true });
 	}
 
-	updateComment(id, comment, callback) {
-		this.doWithTrx(this.persist.updateComment, id, comment, callback);
+	// A comment is hidden along with the document or the file it is on
+	getCommentTarget(id, user, callback) {
+		this.persist
+			.getComment(id, null)
+			.asCallback((error, comment) => {
+				if (error) {
+					callback(error, null);
+				} else if (comment.fileId) {
+					this.getFile(comment.fileId, user, callback);
+				} else {
+					this.getDocument(comment.documentId, user, callback);
+				}
+			});
+	}
 
-		this.cache.clearDocument();
+	addComment(targetType, targetId, comment, callback) {
+		this.doWithTrx(this.persist.addComment, targetType, targetId, comment, this.clearDocumentAfter(callback));
+	}
+
+	updateComment(id, comment, user, callback) {
+		this.doWithTrx(this.persist.updateComment, id, comment, user, this.clearDocumentAfter(callback));
 	}
 
-	removeComment(id, callback) {
-		this.doWithTrx(this.persist.removeComment, id, callback);
+	removeComment(id, user, callback) {
+		this.doWithTrx(this.persist.removeComment, id, user, this.clearDocumentAfter(callback));
+	}
 
-		this.cache.clearDocument();
+	resolveComment(id, resolverId, callback) {
+		this.doWithTrx(this.persist.resolveComment, id, resolverId, this.clearDocumentAfter(callback));
+	}
+
+	reopenComment(id, callback) {
+		this.doWithTrx(this.persist.reopenComment, id, this.clearDocumentAfter(callback));
+	}
+
+	searchNotification(user, unread, cursor, limit, callback) {
+		const scope = (unread ? 'notification.unread' : 'notification');
+
+		Promise
+			.try(() => {
+				return Promise.all([
+					this.persist.searchNotification(user, unread, this.createPagination(scope, cursor, limit), null),
+					this.persist.countUnreadNotification(user, null)
+				]);
+			})
+			.spread((page, unreadCount) => {
+				return this.finalizePage(scope, page[0], page[1]).spread(function(notifications, nextCursor) {
+					return [notifications, nextCursor, unreadCount];
+				});
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	readNotification(user, id, callback) {
+		this.persist.client.transaction((trx) => {
+			return this.persist.readNotification(user, id, trx).then((notification) => {
+				return Promise.all([
+					notification.finalize(trx),
+					this.persist.countUnreadNotification(user, trx)
+				]);
+			});
+		}).asCallback(callback, { spread: true });
+	}
+
+	readAllNotification(user, callback) {
+		this.persist
+			.readAllNotification(user, null)
+			.then(() => {
+				return this.persist.countUnreadNotification(user, null);
+			})
+			.asCallback(callback);
+	}
+
+	searchWatch(user, cursor, limit, callback) {
+		const scope = 'watch';
+
+		Promise
+			.try(() => {
+				return this.persist.searchWatch(user, this.createPagination(scope, cursor, limit), null);
+			})
+			.spread((watches, next) => {
+				return this.finalizePage(scope, watches, next);
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	addWatch(userId, targetType, historyId, callback) {
+		this.doWithTrx(this.persist.addWatch, userId, targetType, historyId, callback);
+	}
+
+	removeWatch(userId, targetType, historyId, callback) {
+		this.doWithTrx(this.persist.removeWatch, userId, targetType, historyId, callback);
+	}
+
+	searchFeed(user, cursor, limit, callback) {
+		const scope = 'feed';
+
+		Promise
+			.try(() => {
+				return this.persist.searchFeed(user, this.createPagination(scope, cursor, limit), null);
+			})
+			.spread((items, next) => {
+				return this.finalizePage(scope, items, next);
+			})
+			.asCallback(callback, { spread: true });
+	}
+
+	createPagination(scope, cursor, limit) {
+		const maxLimit = this.config.site.pagination;
+
+		return {
+			cursor: Cursor.decode(scope, cursor, this.config.secret),
+			limit: Math.min(Math.max(parseInt(limit, 10) || maxLimit, 1), maxLimit)
+		};
+	}
+
+	finalizePage(scope, items, next) {
+		return Promise.all([
+			Promise.map(items, function(item) {
+				return item.finalize(null);
+			}),
+			Cursor.encode(scope, next, this.config.secret)
+		]);
+	}
+
+	// Cached documents carry their archive state, so they are dropped once the transaction has finished
+	clearDocumentAfter(callback) {
+		return (error, result) => {
+			this.cache.clearDocument(function() {
+				callback(error, result);
+			});
+		};
+	}
+
+	// Rendering reads the changed item outside of the transaction, so it waits for the commit.
+	// A failure only leaves the old HTML until the next change, so it doesn't fail the request.
+	rerenderLinkSourcesAfter(targetType, callback) {
+		const clearCallback = this.clearDocumentAfter(callback);
+
+		return (error, result) => {
+			if (error) {
+				clearCallback(error, result);
+				return;
+			}
+
+			this.persist
+				.rerenderLinkSources(targetType, result.historyId, null)
+				.reflect()
+				.then(function() {
+					clearCallback(error, result);
+				});
+		};
+	}
+
+	// Renders the contents stored by an older parser again, a batch at a time.
+	// A failed batch is tried again after the interval, and its error is given to `errorCallback`.
+	startRerendering(errorCallback) {
+		const {interval, batchSize} = this.config.render;
+
+		if (!interval) {
+			return;
+		}
+
+		const schedule = (delay) => {
+			this.rerenderTimer = setTimeout(run, delay);
+			this.rerenderTimer.unref();
+		};
+
+		const run = () => {
+			this.persist
+				.rerenderOutdated(batchSize, null)
+				.then((count) => {
+					if (count > 0) {
+						this.cache.clearDocument(function() {});
+					}
+
+					// Continues right away while the outdated contents are left
+					schedule(count < batchSize ? interval * 1000 : 0);
+				}, function(error) {
+					schedule(interval * 1000);
+					errorCallback(error);
+				});
+		};
+
+		schedule(0);
 	}
 
 	doWithoutTrx(method, ...args) {
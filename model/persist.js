@@ -3,9 +3,14 @@ const Promise = require('bluebird');
 const Sequelize = require('sequelize');
 const crypto = require('crypto');
 const uuid = require('uuid/v4');
-const Hangul = require('hangul-js');
 
 const Parser = require('../util/parser');
+const Html = require('../util/html');
+const Permission = require('../util/permission');
+const Password = require('../util/password');
+const Search = require('../util/search');
+const Query = require('../util/query');
+const {diffBlocks, merge3, mapRange} = require('../util/diff');
 
 const messages = require('../static/messages.json');
 const {HttpError} = require('../server/error');
@@ -14,9 +19,19 @@ function notBlank(text) {
 	return (_.isString(text) && text.trim() !== '');
 }
 
-function shasum(value) {
-	const hasher = crypto.createHash('sha1');
-	hasher.update(value);
+function splitList(value) {
+	if (_.isArray(value)) {
+		return value.filter(notBlank);
+	} else if (notBlank(value)) {
+		return value.split(',').map(_.trim).filter(notBlank);
+	} else {
+		return [];
+	}
+}
+
+function digestToken(secret) {
+	const hasher = crypto.createHash('sha256');
+	hasher.update(String(secret));
 	return hasher.digest('hex');
 }
 
@@ -39,15 +54,22 @@ function populateAttrs(instance, attrKeys, trx) {
 	const result = instance.toJSON();
 
 	return Promise.map(attrKeys, function(attrKey) {
-		return instance['get' + _.capitalize(attrKey)]({
-			transaction: trx
+		// An association included in the query is used as it is, instead of being queried again
+		return Promise.try(function() {
+			if (instance[attrKey] !== undefined) {
+				return instance[attrKey];
+			}
+
+			return instance['get' + _.capitalize(attrKey)]({ transaction: trx });
 		}).then(function(attrValue) {
 			if (_.isArray(attrValue)) {
 				return Promise.map(attrValue, function(item) {
 					return item.finalize(trx);
 				});
-			} else {
+			} else if (attrValue) {
 				return attrValue.finalize(trx);
+			} else {
+				return null;
 			}
 		}).then(function(attr) {
 			result[attrKey] = attr;
@@ -55,21 +77,242 @@ function populateAttrs(instance, attrKeys, trx) {
 	}).thenReturn(result);
 }
 
-function isCompleteChar(char) {
-	if (char.match(/[ㄱ-ㅎㅏ-ㅣ가-힣]/)) {
-		if (Hangul.endsWithConsonant(char)) {
-			const lastSound = _.last(Hangul.disassemble(char));
-			return (['ㄱ', 'ㄴ', 'ㄹ', 'ㅂ'].indexOf(lastSound) >= 0);
-		} else {
-			return true;
+// Gives the tags kept from the latest revision their ids, and tells whether any tag is added or removed
+function matchTags(foundTags, tags) {
+	tags.forEach(function(tag) {
+		const foundTag = foundTags.find((foundTag) => (foundTag.title === tag.title));
+
+		if (foundTag) {
+			tag.id = foundTag.id;
 		}
-	} else {
+	});
+
+	return (_.xor(_.map(foundTags, 'title'), _.map(tags, 'title')).length > 0);
+}
+
+// Only the first comments of the threads are listed, and each of them carries its replies
+function populateThreads(persist, targetType, instance, result, trx) {
+	return persist.Comment.findAll({
+		where: {
+			[`${targetType}Id`]: instance.id,
+			parentId: null
+		},
+		include: persist.getThreadInclude(),
+		order: [['createdAt', 'ASC'], ['id', 'ASC']],
+		transaction: trx
+	}).map(function(comment) {
+		return comment.finalize(trx);
+	}).then(function(comments) {
+		result.comments = comments;
+		return result;
+	});
+}
+
+function populateVisibility(persist, instance, result, trx) {
+	return persist.getVisibility(instance.historyId, trx).then(function(visibility) {
+		return visibility.finalize(trx);
+	}).then(function(visibility) {
+		result.visibility = visibility;
+		return result;
+	});
+}
+
+function hideHistoryIds(where, hiddenIds, key) {
+	if (hiddenIds.length === 0) {
+		return where;
+	}
+
+	return {
+		$and: [where, {
+			[key || 'historyId']: { $notIn: hiddenIds }
+		}]
+	};
+}
+
+function createConflict(messageId, baseInstance, latestInstance) {
+	return new HttpError(messageId, 409, {
+		head: {
+			id: latestInstance.id,
+			revision: latestInstance.revision,
+			authorId: latestInstance.authorId,
+			updatedAt: latestInstance.updatedAt
+		},
+		diff: diffBlocks(baseInstance.content || '', latestInstance.content || '')
+	});
+}
+
+// Only a revision saved at the same time breaks the unique index on (historyId, revision).
+// SQLite lists the columns, but MySQL names the index when it isn't the unique key of a single attribute.
+function isRevisionConflict(error) {
+	if (!(error instanceof Sequelize.UniqueConstraintError)) {
 		return false;
 	}
+
+	const fields = (_.isArray(error.fields) ? error.fields : _.keys(error.fields));
+
+	return (
+		_.isEqual(_.sortBy(fields), ['historyId', 'revision']) ||
+		fields.some((field) => /_history_id_revision$/.test(field))
+	);
+}
+
+function mergeDocument(document, baseDocument, latestDocument) {
+	const result = merge3(baseDocument.content, document.content, latestDocument.content);
+
+	if (!result.isClean) {
+		const error = createConflict('document_merge_failed', baseDocument, latestDocument);
+		error.details.blocks = result.blocks;
+
+		throw error;
+	}
+
+	document.content = result.content;
+
+	if (document.title === baseDocument.title) {
+		document.title = latestDocument.title;
+	}
+}
+
+const historyIdRegExp = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Title matches weigh more than the ones found in the content
+const searchBoosts = {
+	title: 3,
+	content: 1
+};
+
+// Selects the rows after the cursor, which holds the values of the last row for each column in the order
+function afterCursor(Model, where, order, cursor) {
+	if (!cursor) {
+		return where;
+	}
+
+	const values = order.map(function([key], index) {
+		const value = cursor[index];
+		return ((Model.rawAttributes[key].type instanceof Sequelize.DATE) ? new Date(value) : value);
+	});
+
+	return {
+		$and: [where, {
+			$or: order.map(function([key, direction], index) {
+				const condition = _.zipObject(_.map(order.slice(0, index), 0), values.slice(0, index));
+				condition[key] = { [(direction === 'DESC') ? '$lt' : '$gt']: values[index] };
+
+				return condition;
+			})
+		}]
+	};
+}
+
+// The items of a feed are ordered by the time, the rank of their kind and the id
+function afterFeedCursor(where, timeKey, rank, cursor) {
+	if (!cursor) {
+		return where;
+	}
+
+	const [time, cursorRank, id] = cursor;
+	const date = new Date(time);
+
+	if (rank === cursorRank) {
+		return {
+			$and: [where, {
+				$or: [
+					{ [timeKey]: { $lt: date } },
+					{ [timeKey]: date, id: { $lt: id } }
+				]
+			}]
+		};
+	}
+
+	return {
+		$and: [where, {
+			[timeKey]: { [(rank < cursorRank ? '$lte' : '$lt')]: date }
+		}]
+	};
+}
+
+function createFeedItem(persist, source, rank, instance) {
+	const time = instance.get(source.timeKey);
+
+	return {
+		time: time,
+		rank: rank,
+		id: instance.id,
+		finalize: function(trx) {
+			const Model = (source.targetType === 'file' ? persist.File : persist.Document);
+			const targetId = (source.type === 'comment' ? (instance.documentId || instance.fileId) : instance.id);
+
+			return Promise.all([
+				Model.findById(targetId, { transaction: trx }).then(function(target) {
+					return (target ? target.finalize(trx) : null);
+				}),
+				(source.type === 'comment' ? instance.finalize(trx) : null)
+			]).spread(function(target, comment) {
+				const actors = {
+					edit: (target ? target.author : null),
+					archive: (target ? target.archiver : null),
+					comment: (comment ? comment.author : null)
+				};
+
+				return {
+					type: source.type,
+					targetType: source.targetType,
+					target: target,
+					comment: comment,
+					actor: actors[source.type],
+					createdAt: time
+				};
+			});
+		}
+	};
+}
+
+// Rows are fetched one more than the limit to find out whether the next page exists
+function takePage(instances, order, limit) {
+	const items = instances.slice(0, limit);
+	const lastItem = _.last(items);
+
+	if (instances.length <= limit) {
+		return [items, null];
+	}
+
+	return [items, order.map(function([key]) {
+		return lastItem.get(key);
+	})];
+}
+
+// Escaped with `!`, which is a plain character in the string literals of every database, unlike a backslash
+function escapeLike(text) {
+	return text.replace(/[!%_]/g, '!$&');
+}
+
+function dateCondition(range) {
+	const condition = {};
+
+	if (range.from) {
+		condition.$gte = range.from;
+	}
+
+	if (range.to) {
+		condition.$lt = range.to;
+	}
+
+	return condition;
+}
+
+function slugify(title) {
+	return String(title || '')
+		.trim()
+		.toLowerCase()
+		.replace(/[\s\/?#%\\]+/g, '-')
+		.replace(/^-+|-+$/g, '')
+		.substr(0, 100);
 }
 
 class PersistModel {
-	constructor(persistConfig) {
+	constructor(persistConfig, options) {
+		const {password: passwordOptions, url, sanitize: sanitizeOptions} = (options || {});
+
 		if (_.isArray(persistConfig)) {
 			persistConfig.unshift(null);
 			this.client = new (Function.prototype.bind.apply(Sequelize, persistConfig));
@@ -77,6 +320,12 @@ class PersistModel {
 			this.client = new Sequelize(persistConfig);
 		}
 
+		this.url = (url || '');
+		this.sanitizeOptions = sanitizeOptions;
+		this.passwordOptions = passwordOptions;
+		// A promise of the hash, verified against when the user doesn't exist
+		this.dummyPassword = Password.hash('', passwordOptions);
+
 		this.User = this.client.define('User', {
 			id: {
 				type: Sequelize.STRING,
@@ -97,14 +346,9 @@ class PersistModel {
 				validate: {
 					notEmpty: { msg: messages.password_required }
 				},
+				// Given already hashed by hashPassword, as the KDF is asynchronous
 				set: function(value) {
-					if (notBlank(value)) {
-						value = shasum(value);
-					} else {
-						value = '';
-					}
-
-					this.setDataValue('password', value);
+					this.setDataValue('password', notBlank(value) ? value : '');
 				}
 			},
 			name: {
@@ -114,6 +358,22 @@ class PersistModel {
 				},
 				set: function(value) {
 					this.setDataValue('name', notBlank(value) ? value : '');
+					this.setDataValue('searchName', Search.disassemble(this.getDataValue('name')));
+				}
+			},
+			// The name split into jamo, so that it is found while the last syllable of the query is still being typed
+			searchName: {
+				type: Sequelize.TEXT
+			},
+			role: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: Permission.defaultRole,
+				validate: {
+					isIn: {
+						args: [Permission.roles],
+						msg: messages.role_invalid
+					}
 				}
 			}
 		});
@@ -160,10 +420,35 @@ class PersistModel {
 				set: function(value) {
 					this.setDataValue('parsedContent', notBlank(value) ? value : '');
 				}
+			},
+			// The headings with their anchors, stored to build a table of contents without parsing the content
+			outline: {
+				type: Sequelize.TEXT,
+				set: function(value) {
+					this.setDataValue('outline', JSON.stringify(value || []));
+				}
+			},
+			// The contents rendered by an older parser are rendered again in background
+			renderVersion: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			revertedFromId: {
+				type: Sequelize.INTEGER
+			},
+			revertReason: {
+				type: Sequelize.STRING
+			},
+			archivedAt: {
+				type: Sequelize.DATE
 			}
 		}, {
 			indexes: [{
 				fields: ['historyId']
+			}, {
+				unique: true,
+				fields: ['historyId', 'revision']
 			}]
 		});
 
@@ -187,15 +472,48 @@ class PersistModel {
 				type: Sequelize.STRING,
 				allowNull: false
 			},
+			originalName: {
+				type: Sequelize.STRING
+			},
+			mimeType: {
+				type: Sequelize.STRING
+			},
+			size: {
+				type: Sequelize.INTEGER
+			},
+			// Only known for the images readable by Jimp
+			width: {
+				type: Sequelize.INTEGER
+			},
+			height: {
+				type: Sequelize.INTEGER
+			},
 			content: {
 				type: Sequelize.TEXT
 			},
 			parsedContent: {
 				type: Sequelize.TEXT
+			},
+			renderVersion: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			revertedFromId: {
+				type: Sequelize.INTEGER
+			},
+			revertReason: {
+				type: Sequelize.STRING
+			},
+			archivedAt: {
+				type: Sequelize.DATE
 			}
 		}, {
 			indexes: [{
 				fields: ['historyId']
+			}, {
+				unique: true,
+				fields: ['historyId', 'revision']
 			}]
 		});
 
@@ -218,6 +536,11 @@ class PersistModel {
 					this.setDataValue('parsedContent', notBlank(value) ? value : '');
 				}
 			},
+			renderVersion: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
 			range: {
 				type: Sequelize.STRING,
 				validate: {
@@ -232,7 +555,28 @@ class PersistModel {
 
 					this.setDataValue('range', value);
 				}
+			},
+			// Only the first comment of a thread is resolved, on behalf of its replies
+			isResolved: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			resolvedAt: {
+				type: Sequelize.DATE
+			},
+			// Set when the text in the range was removed by an update
+			isOutdated: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
 			}
+		}, {
+			indexes: [{
+				fields: ['documentId', 'parentId']
+			}, {
+				fields: ['fileId', 'parentId']
+			}]
 		});
 
 		this.Tag = this.client.define('Tag', {
@@ -244,8 +588,12 @@ class PersistModel {
 				},
 				set: function(value) {
 					this.setDataValue('title', notBlank(value) ? value : '');
+					this.setDataValue('searchTitle', Search.disassemble(this.getDataValue('title')));
 				}
 			},
+			searchTitle: {
+				type: Sequelize.TEXT
+			},
 			count: {
 				type: Sequelize.INTEGER,
 				allowNull: false,
@@ -265,128 +613,512 @@ class PersistModel {
 			}
 		});
 
-		this.Document.belongsTo(this.User, { as: 'author' });
-		this.Document.belongsToMany(this.Tag, {
-			through: 'DocumentToTag',
-			foreignKey: 'documentId',
-			otherKey: 'tagId'
-		});
-		this.Document.hasMany(this.Comment, { foreignKey: 'documentId' });
-
-		this.File.belongsTo(this.User, { as: 'author' });
-		this.File.belongsToMany(this.Tag, {
-			through: 'FileToTag',
-			foreignKey: 'fileId',
-			otherKey: 'tagId'
-		});
-		this.File.hasMany(this.Comment, { foreignKey: 'fileId' });
-
-		this.Comment.belongsTo(this.User, { as: 'author' });
-
-		this.User.Instance.prototype.finalize = function(trx) {
-			return Promise.resolve(sanitize(this.toJSON(), null, ['password']));
-		};
-
-		this.Document.Instance.prototype.finalize = function(trx) {
-			return populateAttrs(this, ['author', 'tags', 'comments'], trx);
-		};
-
-		this.File.Instance.prototype.finalize = function(trx) {
-			return populateAttrs(this, ['author', 'tags', 'comments'], trx);
-		};
-
-		this.Tag.Instance.prototype.finalize = function(trx) {
-			return Promise.resolve(sanitize(this.toJSON(), null, ['TagLookup']));
-		};
-
-		this.Comment.Instance.prototype.finalize = function(trx) {
-			return populateAttrs(this, ['author'], trx).then(function(comment) {
-				comment.range = JSON.parse(comment.range);
-				return comment;
-			});
-		};
-	}
-
-	sync(force) {
-		return this.client.sync({ force: force });
-	}
-
-	getUser(id, trx) {
-		return this.User.findById(id, { transaction: trx }).then(function(user) {
-			if (!user) {
-				throw new HttpError('user_not_exist', 404);					
-			}
-
-			return user;
-		});
-	}
-
-	authUser(id, password, trx) {
-		return this.User.findOne({
-			where: {
-				id: id,
-				password: shasum(password)
+		this.Visibility = this.client.define('Visibility', {
+			historyId: {
+				type: Sequelize.STRING,
+				primaryKey: true
 			},
-			transaction: trx
-		}).then(function(user) {
-			if (!user) {
-				throw new HttpError('login_failed', 401);
-			}
+			level: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: 'public',
+				validate: {
+					isIn: {
+						args: [Permission.visibilityLevels],
+						msg: messages.visibility_invalid
+					}
+				}
+			},
+			userIds: {
+				type: Sequelize.TEXT,
+				set: function(value) {
+					this.setDataValue('userIds', JSON.stringify(splitList(value)));
+				}
+			},
+			roles: {
+				type: Sequelize.TEXT,
+				validate: {
+					isRoleList: function(value) {
+						const roles = JSON.parse(value);
 
-			return user;
+						if (roles.some((role) => (Permission.roles.indexOf(role) < 0))) {
+							throw new Error(messages.role_invalid);
+						}
+					}
+				},
+				set: function(value) {
+					this.setDataValue('roles', JSON.stringify(splitList(value)));
+				}
+			}
 		});
-	}
-
-	searchUser(query, pagination, trx) {
-		let lastChar = query.substr(query.length - 1, 1);
-
-		if (isCompleteChar(lastChar)) {
-			query = query.substr(0, query.length - 1);
-		} else {
-			lastChar = null;
-		}
 
-		return this.User.findAll({
-			where: {
-				$or: {
-					id: {
-						$like: `%${query}%`,
-						$gt: pagination[0]
-					},
-					name: { $like: `%${query}%` }
+		this.Token = this.client.define('Token', {
+			name: {
+				type: Sequelize.STRING,
+				validate: {
+					notEmpty: { msg: messages.token_name_required }
+				},
+				set: function(value) {
+					this.setDataValue('name', notBlank(value) ? value : '');
 				}
 			},
-			order: [['id', 'ASC']],
-			limit: pagination[1],
-			transaction: trx
-		}).filter(function(user) {
-			if (lastChar === null) {
-				return true;
-			}
-
-			return [user.id, user.name].find(function(item) {
-				const queryIndex = item.indexOf(queryIndex);
+			digest: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			},
+			scopes: {
+				type: Sequelize.TEXT,
+				validate: {
+					isScopeList: function(value) {
+						const scopes = JSON.parse(value);
 
-				if (queryIndex < 0) {
-					return false;
+						if (scopes.some((scope) => (Permission.scopes.indexOf(scope) < 0))) {
+							throw new Error(messages.scope_invalid);
+						}
+					}
+				},
+				set: function(value) {
+					const scopes = splitList(value);
+					this.setDataValue('scopes', JSON.stringify(scopes.length > 0 ? scopes : Permission.scopes));
 				}
-
-				const charAfterQuery = user.id.substr(queryIndex + 1, 1);
-
-				if (charAfterQuery) {
-					return Hangul.search(charAfterQuery, lastChar);
-				} else {
-					return false;
+			},
+			expiresAt: {
+				type: Sequelize.DATE,
+				validate: {
+					isDate: { msg: messages.date_invalid }
+				},
+				set: function(value) {
+					this.setDataValue('expiresAt', (_.isDate(value) || notBlank(value)) ? value : null);
 				}
-			});
+			},
+			lastUsedAt: {
+				type: Sequelize.DATE
+			}
+		}, {
+			indexes: [{
+				fields: ['userId']
+			}]
 		});
-	}
 
-	addUser(user, trx) {
-		return this.User.create(sanitize(user, ['id', 'password', 'name']), {
-			transaction: trx
-		}).catch(function(error) {
-			if (error.name === 'SequelizeUniqueConstraintError') {
+		this.SearchTerm = this.client.define('SearchTerm', {
+			term: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetId: {
+				type: Sequelize.INTEGER,
+				allowNull: false
+			},
+			historyId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			field: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			count: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 1
+			}
+		}, {
+			timestamps: false,
+			indexes: [{
+				fields: ['term']
+			}, {
+				fields: ['targetType', 'targetId']
+			}]
+		});
+
+		this.Link = this.client.define('Link', {
+			sourceType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			sourceId: {
+				type: Sequelize.INTEGER,
+				allowNull: false
+			},
+			sourceHistoryId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetHistoryId: {
+				type: Sequelize.STRING
+			},
+			targetTitle: {
+				type: Sequelize.STRING
+			}
+		}, {
+			timestamps: false,
+			indexes: [{
+				fields: ['sourceType', 'sourceId']
+			}, {
+				fields: ['targetType', 'targetHistoryId']
+			}, {
+				fields: ['targetType', 'targetTitle']
+			}]
+		});
+
+		// A page is watched across its revisions, so the watch is kept by updating it
+		this.Watch = this.client.define('Watch', {
+			targetType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			historyId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			}
+		}, {
+			indexes: [{
+				unique: true,
+				fields: ['userId', 'targetType', 'historyId']
+			}, {
+				fields: ['targetType', 'historyId']
+			}]
+		});
+
+		// The target is the revision in which the change was made, and the comment is given for a comment or a mention in it
+		this.Notification = this.client.define('Notification', {
+			type: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetType: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			targetId: {
+				type: Sequelize.INTEGER,
+				allowNull: false
+			},
+			historyId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			commentId: {
+				type: Sequelize.INTEGER
+			},
+			isRead: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			readAt: {
+				type: Sequelize.DATE
+			}
+		}, {
+			indexes: [{
+				fields: ['userId', 'isRead']
+			}]
+		});
+
+		this.Slug = this.client.define('Slug', {
+			slug: {
+				type: Sequelize.STRING,
+				primaryKey: true,
+				validate: {
+					is: {
+						args: /^[^\s\/?#%\\]{1,100}$/,
+						msg: messages.slug_invalid
+					},
+					isNotHistoryId: function(value) {
+						if (historyIdRegExp.test(value)) {
+							throw new Error(messages.slug_invalid);
+						}
+					}
+				}
+			},
+			historyId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			isPrimary: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: true
+			}
+		}, {
+			indexes: [{
+				fields: ['historyId']
+			}]
+		});
+
+		this.Token.belongsTo(this.User, { as: 'user', onDelete: 'CASCADE' });
+
+		this.Document.belongsTo(this.User, { as: 'author' });
+		this.Document.belongsTo(this.User, { as: 'archiver' });
+		this.Document.belongsToMany(this.Tag, {
+			through: 'DocumentToTag',
+			foreignKey: 'documentId',
+			otherKey: 'tagId'
+		});
+		this.Document.hasMany(this.Comment, { foreignKey: 'documentId' });
+
+		this.File.belongsTo(this.User, { as: 'author' });
+		this.File.belongsTo(this.User, { as: 'archiver' });
+		this.File.belongsToMany(this.Tag, {
+			through: 'FileToTag',
+			foreignKey: 'fileId',
+			otherKey: 'tagId'
+		});
+		this.File.hasMany(this.Comment, { foreignKey: 'fileId' });
+
+		this.Comment.belongsTo(this.User, { as: 'author' });
+		this.Comment.belongsTo(this.User, { as: 'resolver' });
+		this.Comment.hasMany(this.Comment, { as: 'replies', foreignKey: 'parentId' });
+
+		this.Watch.belongsTo(this.User, { as: 'user', onDelete: 'CASCADE' });
+
+		this.Notification.belongsTo(this.User, { as: 'user', onDelete: 'CASCADE' });
+		this.Notification.belongsTo(this.User, { as: 'actor' });
+
+		this.User.Instance.prototype.finalize = function(trx) {
+			return Promise.resolve(sanitize(this.toJSON(), null, ['password', 'searchName']));
+		};
+
+		const persist = this;
+
+		this.Document.Instance.prototype.finalize = function(trx) {
+			return populateAttrs(this, ['author', 'archiver', 'tags'], trx).then((document) => {
+				document.outline = JSON.parse(document.outline || '[]');
+				return populateThreads(persist, 'document', this, document, trx);
+			}).then((document) => {
+				return populateVisibility(persist, this, document, trx);
+			});
+		};
+
+		this.File.Instance.prototype.finalize = function(trx) {
+			return populateAttrs(this, ['author', 'archiver', 'tags'], trx).then((file) => {
+				return populateThreads(persist, 'file', this, file, trx);
+			}).then((file) => {
+				return populateVisibility(persist, this, file, trx);
+			});
+		};
+
+		this.Tag.Instance.prototype.finalize = function(trx) {
+			return Promise.resolve(sanitize(this.toJSON(), null, ['TagLookup', 'searchTitle']));
+		};
+
+		this.Comment.Instance.prototype.finalize = function(trx) {
+			const attrKeys = (this.parentId ? ['author', 'resolver'] : ['author', 'resolver', 'replies']);
+
+			return populateAttrs(this, attrKeys, trx).then(function(comment) {
+				comment.range = JSON.parse(comment.range);
+				comment.targetType = (comment.fileId ? 'file' : 'document');
+
+				if (comment.replies) {
+					comment.replies = _.sortBy(comment.replies, ['createdAt', 'id']);
+				}
+
+				return comment;
+			});
+		};
+
+		this.Token.Instance.prototype.finalize = function(trx) {
+			const token = sanitize(this.toJSON(), null, ['digest']);
+			token.scopes = JSON.parse(token.scopes);
+			return Promise.resolve(token);
+		};
+
+		this.Link.Instance.prototype.finalize = function(trx) {
+			const Model = (this.sourceType === 'file' ? persist.File : persist.Document);
+
+			return Model.findById(this.sourceId, { transaction: trx }).then(function(source) {
+				return (source ? source.finalize(trx) : null);
+			}).then((source) => {
+				return {
+					id: this.id,
+					sourceType: this.sourceType,
+					source: source
+				};
+			});
+		};
+
+		this.Watch.Instance.prototype.finalize = function(trx) {
+			const Model = (this.targetType === 'file' ? persist.File : persist.Document);
+			const watch = sanitize(this.toJSON(), ['id', 'targetType', 'historyId', 'createdAt']);
+
+			return Model.findOne({
+				where: { historyId: this.historyId },
+				order: [['revision', 'DESC']],
+				transaction: trx
+			}).then(function(target) {
+				return (target ? target.finalize(trx) : null);
+			}).then(function(target) {
+				watch.target = target;
+				return watch;
+			});
+		};
+
+		this.Notification.Instance.prototype.finalize = function(trx) {
+			const Model = (this.targetType === 'file' ? persist.File : persist.Document);
+
+			return Promise.all([
+				populateAttrs(this, ['actor'], trx),
+				Model.findById(this.targetId, { transaction: trx }).then(function(target) {
+					return (target ? target.finalize(trx) : null);
+				})
+			]).spread(function(notification, target) {
+				notification.target = target;
+				return notification;
+			});
+		};
+
+		this.Slug.Instance.prototype.finalize = function(trx) {
+			return Promise.resolve(sanitize(this.toJSON(), ['slug', 'historyId', 'isPrimary']));
+		};
+
+		this.Visibility.Instance.prototype.finalize = function(trx) {
+			const visibility = sanitize(this.toJSON(), ['historyId', 'level', 'userIds', 'roles']);
+
+			visibility.userIds = JSON.parse(visibility.userIds || '[]');
+			visibility.roles = JSON.parse(visibility.roles || '[]');
+
+			return Promise.resolve(visibility);
+		};
+	}
+
+	sync(force) {
+		return this.client.sync({ force: force });
+	}
+
+	// sync() creates the missing tables and indexes, but leaves the existing tables as they are.
+	// So the columns added since are added first, and the revisions saved twice with the same number are numbered again
+	// before the unique index on them is made.
+	migrate() {
+		const queryInterface = this.client.getQueryInterface();
+
+		return queryInterface.showAllTables().then((tableNames) => {
+			const hasTable = (Model) => (tableNames.indexOf(Model.getTableName()) >= 0);
+
+			return Promise.mapSeries(_.values(this.client.models).filter(hasTable), (Model) => {
+				const tableName = Model.getTableName();
+
+				return queryInterface.describeTable(tableName).then(function(columns) {
+					return Promise.mapSeries(_.values(Model.rawAttributes).filter(function(attribute) {
+						return !columns[attribute.field];
+					}), function(attribute) {
+						return queryInterface.addColumn(tableName, attribute.field, attribute).return(attribute.field);
+					});
+				});
+			}).then(_.flatten).then((columns) => {
+				return Promise.mapSeries([this.Document, this.File].filter(hasTable), (Model) => {
+					return this.renumberRevisions(Model);
+				}).then((counts) => {
+					return this.sync(false).return({
+						columns: columns.length,
+						revisions: _.sum(counts)
+					});
+				});
+			});
+		});
+	}
+
+	renumberRevisions(Model) {
+		const quote = (identifier) => this.client.getQueryInterface().quoteIdentifier(identifier);
+
+		return this.client.transaction((trx) => {
+			return this.client.query(`SELECT DISTINCT ${quote('historyId')} FROM ${quote(Model.getTableName())} ` +
+				`GROUP BY ${quote('historyId')}, ${quote('revision')} HAVING COUNT(*) > 1`, {
+				type: this.client.QueryTypes.SELECT,
+				transaction: trx
+			}).map(function(row) {
+				return Model.findAll({
+					where: { historyId: row.historyId },
+					order: [['id', 'ASC']],
+					transaction: trx
+				}).each(function(instance, index) {
+					return instance.update({ revision: index + 1 }, {
+						silent: true,
+						validate: false,
+						transaction: trx
+					});
+				});
+			}, { concurrency: 1 });
+		}).then(_.flatten).then(function(instances) {
+			return instances.length;
+		});
+	}
+
+	getUser(id, trx) {
+		return this.User.findById(id, { transaction: trx }).then(function(user) {
+			if (!user) {
+				throw new HttpError('user_not_exist', 404);					
+			}
+
+			return user;
+		});
+	}
+
+	authUser(id, password, trx) {
+		return this.User.findById(id, { transaction: trx }).then((user) => {
+			// Verify against a dummy hash when the user doesn't exist to keep the response time even
+			return Promise.resolve(user ? user.password : this.dummyPassword).then(function(stored) {
+				return Password.verify(password, stored);
+			}).then((verified) => {
+				if (!user || !verified) {
+					throw new HttpError('login_failed', 401);
+				}
+
+				if (Password.needsRehash(user.password, this.passwordOptions)) {
+					return this.hashPassword({ password: password }).then(function(changes) {
+						return user.update(changes, { transaction: trx });
+					});
+				}
+
+				return user;
+			});
+		});
+	}
+
+	searchUser(query, pagination, trx) {
+		const order = [['id', 'ASC']];
+
+		return this.User.findAll({
+			where: afterCursor(this.User, {
+				$or: [
+					this.whereLike('id', `%${escapeLike(query)}%`),
+					this.whereLike('searchName', `%${escapeLike(Search.disassemble(query))}%`)
+				]
+			}, order, pagination.cursor),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(users) {
+			return takePage(users, order, pagination.limit);
+		});
+	}
+
+	// Hashes the password in the given user data, so that it is never stored as it is
+	hashPassword(user) {
+		if (!notBlank(user.password)) {
+			return Promise.resolve(user);
+		}
+
+		return Password.hash(user.password, this.passwordOptions).then(function(password) {
+			return Object.assign({}, user, { password: password });
+		});
+	}
+
+	addUser(user, trx) {
+		return this.hashPassword(user).then((user) => {
+			return this.User.create(sanitize(user, ['id', 'password', 'name']), {
+				transaction: trx
+			});
+		}).catch(function(error) {
+			if (error.name === 'SequelizeUniqueConstraintError') {
 				error.message = messages.user_id_exist;
 			}
 
@@ -394,16 +1126,19 @@ class PersistModel {
 		});
 	}
 
+	// Updated through the instance, so that the setter of the name fills searchName as well
 	updateUser(id, user, trx) {
-		return this.User.update(sanitize(user, null, ['id']), {
-			where: { id: id },
-			transaction: trx
-		}).spread((count) => {
-			if (count == 0) {
-				throw new HttpError('user_not_exist', 404);
-			}
+		return Promise.all([
+			this.getUser(id, trx),
+			this.hashPassword(user)
+		]).spread(function(foundUser, user) {
+			return foundUser.update(sanitize(user, null, ['id', 'role', 'searchName']), { transaction: trx });
+		});
+	}
 
-			return this.getUser(id, trx);
+	updateUserRole(id, role, trx) {
+		return this.getUser(id, trx).then(function(user) {
+			return user.update({ role: role }, { transaction: trx });
 		});
 	}
 
@@ -413,66 +1148,709 @@ class PersistModel {
 				throw new HttpError('user_not_exist', 404);
 			}
 
-			return user.destroy({ transaction: trx }).thenReturn(user);
+			return user.destroy({ transaction: trx }).thenReturn(user);
+		});
+	}
+
+	searchToken(userId, trx) {
+		return this.Token.findAll({
+			where: { userId: userId },
+			order: [['createdAt', 'DESC']],
+			transaction: trx
+		});
+	}
+
+	addToken(userId, token, trx) {
+		const secret = crypto.randomBytes(32).toString('hex');
+
+		return this.Token.create({
+			userId: userId,
+			name: token.name,
+			digest: digestToken(secret),
+			scopes: token.scopes,
+			expiresAt: token.expiresAt
+		}, {
+			transaction: trx
+		}).then(function(createdToken) {
+			// The secret is never stored, so this is the only chance to send it
+			createdToken.setDataValue('secret', secret);
+			return createdToken;
+		});
+	}
+
+	removeToken(userId, id, trx) {
+		return this.Token.findOne({
+			where: {
+				id: id,
+				userId: userId
+			},
+			transaction: trx
+		}).then(function(token) {
+			if (!token) {
+				throw new HttpError('token_not_exist', 404);
+			}
+
+			return token.destroy({ transaction: trx }).thenReturn(token);
+		});
+	}
+
+	authToken(secret, trx) {
+		return this.Token.findOne({
+			where: { digest: digestToken(secret) },
+			transaction: trx
+		}).then(function(token) {
+			if (!token || (token.expiresAt && token.expiresAt <= new Date())) {
+				throw new HttpError('token_invalid', 401);
+			}
+
+			return token.update({ lastUsedAt: new Date() }, { transaction: trx });
+		});
+	}
+
+	getVisibility(historyId, trx) {
+		return this.Visibility.findById(historyId, { transaction: trx }).then((visibility) => {
+			if (!visibility) {
+				return this.Visibility.build({ historyId: historyId });
+			}
+
+			return visibility;
+		});
+	}
+
+	updateVisibility(historyId, visibility, trx) {
+		visibility.historyId = historyId;
+
+		return this.Visibility.upsert(sanitize(visibility, [
+			'historyId',
+			'level',
+			'userIds',
+			'roles'
+		]), {
+			transaction: trx
+		}).then(() => {
+			return this.getVisibility(historyId, trx);
+		});
+	}
+
+	canViewHistory(historyId, user, trx) {
+		return this.getVisibility(historyId, trx).then(function(visibility) {
+			return visibility.finalize(trx);
+		}).then(function(visibility) {
+			return Permission.canView(user, visibility);
+		});
+	}
+
+	getHiddenHistoryIds(user, trx) {
+		return this.Visibility.findAll({
+			where: {
+				level: { $ne: 'public' }
+			},
+			transaction: trx
+		}).map(function(visibility) {
+			return visibility.finalize(trx);
+		}).filter(function(visibility) {
+			return !Permission.canView(user, visibility);
+		}).map(function(visibility) {
+			return visibility.historyId;
+		});
+	}
+
+	getDocument(id, trx) {
+		return this.Document.findById(id, { transaction: trx }).then((document) => {
+			if (!document) {
+				throw new HttpError('document_not_exist', 404);
+			}
+
+			return document;
+		});
+	}
+
+	getHeadDocument(historyId, trx) {
+		return this.Document.findOne({
+			where: {
+				historyId: historyId,
+				isArchived: false
+			},
+			transaction: trx
+		});
+	}
+
+	// Resolves a slug or a history id to the id of the head revision, or to the current slug when an old one is given
+	getPage(slug, trx) {
+		return Promise.try(() => {
+			return (historyIdRegExp.test(slug) ? null : this.Slug.findById(slug, { transaction: trx }));
+		}).then((foundSlug) => {
+			if (foundSlug && !foundSlug.isPrimary) {
+				return this.getPrimarySlug(foundSlug.historyId, trx).then(function(primarySlug) {
+					return [null, primarySlug.slug];
+				});
+			}
+
+			if (!foundSlug && !historyIdRegExp.test(slug)) {
+				throw new HttpError('document_not_exist', 404);
+			}
+
+			return this.getHeadDocument((foundSlug ? foundSlug.historyId : slug), trx).then(function(document) {
+				if (!document) {
+					throw new HttpError('document_not_exist', 404);
+				}
+
+				return [document.id, null];
+			});
+		});
+	}
+
+	getPrimarySlug(historyId, trx) {
+		return this.Slug.findOne({
+			where: {
+				historyId: historyId,
+				isPrimary: true
+			},
+			transaction: trx
+		});
+	}
+
+	addSlug(document, trx) {
+		const baseSlug = slugify(document.title);
+
+		if (!baseSlug || historyIdRegExp.test(baseSlug)) {
+			return Promise.resolve(null);
+		}
+
+		return this.Slug.findAll({
+			where: this.whereLike('slug', `${escapeLike(baseSlug)}%`),
+			attributes: ['slug'],
+			transaction: trx
+		}).then((foundSlugs) => {
+			const slugs = foundSlugs.map((foundSlug) => foundSlug.slug);
+			let slug = baseSlug;
+
+			for (let i = 2; slugs.indexOf(slug) >= 0; i++) {
+				slug = `${baseSlug}-${i}`;
+			}
+
+			return this.Slug.create({
+				slug: slug,
+				historyId: document.historyId,
+				isPrimary: true
+			}, {
+				transaction: trx
+			});
+		});
+	}
+
+	// The previous slugs are kept to redirect to the new one
+	updateSlug(historyId, slug, trx) {
+		// Locked until the transaction ends, so the owner can't change between checking it and taking the slug
+		return this.Slug.findById(slug, {
+			lock: trx.LOCK.UPDATE,
+			transaction: trx
+		}).then((foundSlug) => {
+			if (foundSlug && foundSlug.historyId !== historyId) {
+				throw new HttpError('slug_conflict', 409);
+			}
+
+			return this.Slug.update({ isPrimary: false }, {
+				where: { historyId: historyId },
+				transaction: trx
+			}).then(() => {
+				if (foundSlug) {
+					return this.Slug.update({ isPrimary: true }, {
+						where: { slug: slug },
+						transaction: trx
+					});
+				}
+
+				return this.Slug.create({
+					slug: slug,
+					historyId: historyId,
+					isPrimary: true
+				}, {
+					transaction: trx
+				});
+			});
+		}).then(() => {
+			return this.Slug.findById(slug, { transaction: trx });
+		}).catch(Sequelize.UniqueConstraintError, function() {
+			throw new HttpError('slug_conflict', 409);
+		});
+	}
+
+	getDocumentByTitle(title, trx) {
+		return this.Document.findOne({
+			where: {
+				title: title,
+				isArchived: false
+			},
+			order: [['updatedAt', 'DESC']],
+			transaction: trx
+		});
+	}
+
+	searchDocument(type, query, pagination, user, trx) {
+		const method = (
+			({
+				'history': this.searchDocumentByHistoryId,
+				'archived': this.searchDocumentByArchive,
+				'tag': this.searchDocumentByTagId,
+				'text': this.searchDocumentByText,
+				'query': this.searchDocumentByQuery
+			})[type] || this.searchDocumentByDate
+		);
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return method.call(this, query, pagination, hiddenIds, trx);
+		});
+	}
+
+	searchDocumentByDate(__, pagination, hiddenIds, trx) {
+		const order = [['updatedAt', 'DESC'], ['id', 'DESC']];
+
+		return this.Document.findAll({
+			where: hideHistoryIds(afterCursor(this.Document, {
+				isArchived: false
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(documents) {
+			return takePage(documents, order, pagination.limit);
+		});
+	}
+
+	searchDocumentByArchive(__, pagination, hiddenIds, trx) {
+		const order = [['archivedAt', 'DESC'], ['id', 'DESC']];
+
+		return this.Document.findAll({
+			where: hideHistoryIds(afterCursor(this.Document, {
+				isArchived: true,
+				archivedAt: { $ne: null }
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(documents) {
+			return takePage(documents, order, pagination.limit);
+		});
+	}
+
+	searchDocumentByHistoryId(historyId, pagination, hiddenIds, trx) {
+		const order = [['revision', 'DESC'], ['id', 'DESC']];
+
+		return this.Document.findAll({
+			where: hideHistoryIds(afterCursor(this.Document, {
+				historyId: historyId
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(documents) {
+			if (documents.length === 0 && !pagination.cursor) {
+				throw new HttpError('document_not_exist', 404);
+			}
+
+			return takePage(documents, order, pagination.limit);
+		});
+	}
+
+	searchDocumentByTagId(tagId, pagination, hiddenIds, trx) {
+		const order = [['updatedAt', 'DESC'], ['id', 'DESC']];
+
+		return this.Document.findAll({
+			where: hideHistoryIds(afterCursor(this.Document, {
+				isArchived: false
+			}, order, pagination.cursor), hiddenIds),
+			include: [{
+				model: this.Tag,
+				attributes: [],
+				where: {
+					id: tagId
+				}
+			}],
+			limit: pagination.limit + 1,
+			order: order,
+			transaction: trx
+		}).then(function(documents) {
+			if (documents.length === 0 && !pagination.cursor) {
+				throw new HttpError('tag_not_exist', 404);
+			}
+
+			return takePage(documents, order, pagination.limit);
+		});
+	}
+
+	searchDocumentByText(text, pagination, hiddenIds, trx) {
+		return this.searchByRank('document', this.Document, text, pagination, hiddenIds, trx);
+	}
+
+	searchDocumentByQuery(query, pagination, hiddenIds, trx) {
+		const condition = this.compileDocumentQuery(Query.parse(query));
+		const order = [['updatedAt', 'DESC'], ['id', 'DESC']];
+
+		return this.Document.findAll({
+			where: hideHistoryIds(afterCursor(this.Document, {
+				$and: [{ isArchived: false }, condition]
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(documents) {
+			return takePage(documents, order, pagination.limit);
+		});
+	}
+
+	// $like of Sequelize 3 has no ESCAPE clause, and the databases differ in the default escape character
+	whereLike(column, pattern) {
+		const quote = (identifier) => this.client.getQueryInterface().quoteIdentifier(identifier);
+		return Sequelize.literal(`${quote(column)} LIKE ${this.client.escape(pattern)} ESCAPE '!'`);
+	}
+
+	compileDocumentQuery(node) {
+		const quote = (identifier) => this.client.getQueryInterface().quoteIdentifier(identifier);
+
+		switch (node.type) {
+			case 'and':
+				return { $and: node.children.map((child) => this.compileDocumentQuery(child)) };
+
+			case 'or':
+				return { $or: node.children.map((child) => this.compileDocumentQuery(child)) };
+
+			case 'not':
+				return { $not: [this.compileDocumentQuery(node.child)] };
+
+			case 'tag':
+				return {
+					id: {
+						$in: Sequelize.literal(`(SELECT ${quote('documentId')} FROM ${quote('DocumentToTag')} ` +
+							`INNER JOIN ${quote('Tags')} ON ${quote('Tags')}.${quote('id')} = ${quote('DocumentToTag')}.${quote('tagId')} ` +
+							`WHERE ${quote('Tags')}.${quote('title')} = ${this.client.escape(node.value)})`)
+					}
+				};
+
+			case 'author':
+				return { authorId: node.value };
+
+			case 'updated':
+				return { updatedAt: dateCondition(node) };
+
+			case 'created':
+				return { createdAt: dateCondition(node) };
+
+			default:
+				return {
+					$or: [
+						this.whereLike('title', `%${escapeLike(node.value)}%`),
+						this.whereLike('content', `%${escapeLike(node.value)}%`)
+					]
+				};
+		}
+	}
+
+	addDocument(document, trx) {
+		return this.render(document.content, false, null).then((parsedContent) => {
+			document.parsedContent = parsedContent;
+			document.outline = Parser.extractOutline(document.content);
+			document.renderVersion = Parser.version;
+
+			return this.Document.create(sanitize(document, [
+				'historyId',
+				'revision',
+				'title',
+				'content',
+				'parsedContent',
+				'outline',
+				'renderVersion',
+				'revertedFromId',
+				'revertReason'
+			]), {
+				transaction: trx
+			}).then((createdDocument) => {
+				return Promise.all([
+					createdDocument.setAuthor(document.authorId, { transaction: trx }),
+
+					Promise.map(document.tags, (tag) => {
+						return this.increaseOrAddTag(tag, trx);
+					}).then(function(tags) {
+						return createdDocument.setTags(tags, { transaction: trx });
+					}),
+
+					this.indexSearchTarget('document', createdDocument, trx),
+					this.addLinks('document', createdDocument, trx),
+					this.resolveLinks(createdDocument, trx),
+					(createdDocument.revision === 1 ? this.addSlug(createdDocument, trx) : null),
+					(createdDocument.revision === 1 ? this.notifyEdit('document', null, createdDocument, document.authorId, trx) : null)
+				]).thenReturn(createdDocument);
+			});
+		});
+	}
+
+	updateDocument(id, document, trx) {
+		return this.getDocument(id, trx).then((baseDocument) => {
+			if (document.historyId && document.historyId !== baseDocument.historyId) {
+				throw new HttpError('request_invalid', 400);
+			}
+
+			return this.Document.findOne({
+				where: { historyId: baseDocument.historyId },
+				order: [['revision', 'DESC']],
+				lock: trx.LOCK.UPDATE,
+				transaction: trx
+			}).then((latestDocument) => {
+				if (latestDocument.isArchived) {
+					throw new HttpError('document_not_exist', 404);
+				}
+
+				if (latestDocument.revision !== baseDocument.revision) {
+					if (!document.merge) {
+						throw createConflict('document_already_updated', baseDocument, latestDocument);
+					}
+
+					mergeDocument(document, baseDocument, latestDocument);
+				}
+
+				if (latestDocument.content === document.content && latestDocument.title === document.title) {
+					return latestDocument.getTags({ transaction: trx }).then((foundTags) => {
+						return [matchTags(foundTags, document.tags), latestDocument];
+					});
+				} else {
+					return [true, latestDocument];
+				}
+			});
+		}).spread((updateRequired, foundDocument) => {
+			if (updateRequired) {
+				return this.archiveDocumentInstance(foundDocument, trx).then(() => {
+					document.historyId = foundDocument.historyId;
+					document.revision = foundDocument.revision + 1;
+
+					return this.addDocument(document, trx);
+				}).then((createdDocument) => {
+					return Promise.all([
+						this.carryComments('document', foundDocument, createdDocument, trx),
+						this.notifyEdit('document', foundDocument, createdDocument, document.authorId, trx)
+					]).thenReturn(createdDocument);
+				});
+			} else {
+				return Promise.map(document.tags, (tag) => {
+					return this.updateTag(tag.id, {
+						title: tag.title,
+						color: tag.color
+					}, trx);
+				}).thenReturn(foundDocument);
+			}
+		}).catch(isRevisionConflict, function() {
+			throw new HttpError('document_already_updated', 409);
+		});
+	}
+
+	revertDocument(id, targetId, revert, trx) {
+		return Promise.all([
+			this.getDocument(id, trx),
+			this.getDocument(targetId, trx)
+		]).spread((baseDocument, targetDocument) => {
+			if (baseDocument.historyId !== targetDocument.historyId) {
+				throw new HttpError('request_invalid', 400);
+			}
+
+			return targetDocument.getTags({ transaction: trx }).then((tags) => {
+				return this.updateDocument(id, {
+					authorId: revert.authorId,
+					title: targetDocument.title,
+					content: targetDocument.content,
+					tags: tags.map(function(tag) {
+						return { title: tag.title, color: tag.color };
+					}),
+					revertedFromId: targetDocument.id,
+					revertReason: revert.reason
+				}, trx);
+			});
+		});
+	}
+
+	archiveDocument(id, archiverId, trx) {
+		return this.Document.findOne({
+			where: {
+				id: id,
+				isArchived: false
+			},
+			transaction: trx
+		}).then((foundDocument) => {
+			if (!foundDocument) {
+				throw new HttpError('document_not_exist', 404);
+			}
+
+			return this.archiveDocumentInstance(foundDocument, trx);
+		}).then(function(document) {
+			return document.update({
+				isArchived: true,
+				archivedAt: new Date(),
+				archiverId: archiverId
+			}, {
+				transaction: trx
+			});
+		});
+	}
+
+	restoreDocument(id, trx) {
+		return this.Document.findOne({
+			where: {
+				id: id,
+				isArchived: true,
+				archivedAt: { $ne: null }
+			},
+			transaction: trx
+		}).then((foundDocument) => {
+			if (!foundDocument) {
+				throw new HttpError('document_not_exist', 404);
+			}
+
+			return this.Document.update({
+				isArchived: false,
+				archivedAt: null,
+				archiverId: null
+			}, {
+				where: {
+					id: foundDocument.id,
+					isArchived: true
+				},
+				transaction: trx
+			}).spread((count) => {
+				if (count == 0) {
+					throw new HttpError('document_already_updated', 409);
+				}
+
+				return foundDocument.getTags({ transaction: trx });
+			}).map((tag) => {
+				return this.increaseOrAddTag({
+					title: tag.title,
+					color: tag.color
+				}, trx);
+			}).then((tags) => {
+				return Promise.all([
+					foundDocument.setTags(tags, { transaction: trx }),
+					this.indexSearchTarget('document', foundDocument, trx),
+					this.addLinks('document', foundDocument, trx)
+				]);
+			}).then(function() {
+				return foundDocument.reload({ transaction: trx });
+			});
+		});
+	}
+
+	archiveDocumentInstance(document, trx) {
+		return this.Document.update({ isArchived: true }, {
+			where: {
+				id: document.id,
+				isArchived: false
+			},
+			transaction: trx
+		}).spread((count) => {
+			if (count == 0) {
+				throw new HttpError('document_already_updated', 409);
+			}
+
+			return Promise.all([
+				document.getTags({ transaction: trx }).map((tag) => {
+					return this.decreaseTag(tag.id, trx);
+				}),
+
+				this.unindexSearchTarget('document', document.id, trx),
+				this.removeLinks('document', document.id, trx)
+			]);
+		}).thenReturn(document);
+	}
+
+	getFile(id, trx) {
+		return this.File.findById(id, { transaction: trx }).then((file) => {
+			if (!file) {
+				throw new HttpError('file_not_exist', 404);
+			}
+
+			return file;
+		});
+	}
+
+	getHeadFile(historyId, trx) {
+		return this.File.findOne({
+			where: {
+				historyId: historyId,
+				isArchived: false
+			},
+			transaction: trx
+		});
+	}
+
+	searchFile(type, query, pagination, user, trx) {
+		const method = (
+			({
+				'history': this.searchFileByHistoryId,
+				'archived': this.searchFileByArchive,
+				'tag': this.searchFileByTagId,
+				'text': this.searchFileByText
+			})[type] || this.searchFileByDate
+		);
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return method.call(this, query, pagination, hiddenIds, trx);
 		});
 	}
 
-	getDocument(id, trx) {
-		return this.Document.findById(id, { transaction: trx }).then((document) => {
-			if (!document) {
-				throw new HttpError('document_not_exist', 404);
-			}
+	searchFileByDate(__, pagination, hiddenIds, trx) {
+		const order = [['updatedAt', 'DESC'], ['id', 'DESC']];
 
-			return document;
+		return this.File.findAll({
+			where: hideHistoryIds(afterCursor(this.File, {
+				isArchived: false
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(files) {
+			return takePage(files, order, pagination.limit);
 		});
 	}
 
-	searchDocument(type, query, pagination, trx) {
-		return (
-			({
-				'history': this.searchDocumentByHistoryId,
-				'tag': this.searchDocumentByTagId,
-				'text': this.searchDocumentByText
-			})[type] || this.searchDocumentByDate
-		).call(this, query, pagination, trx);
-	}
+	searchFileByArchive(__, pagination, hiddenIds, trx) {
+		const order = [['archivedAt', 'DESC'], ['id', 'DESC']];
 
-	searchDocumentByDate(__, pagination, trx) {
-		return this.Document.findAll({
-			where: {
-				id: { $gt: pagination[0]},
-				isArchived: false
-			},
-			order: [['updatedAt', 'DESC']],
-			limit: pagination[1],
+		return this.File.findAll({
+			where: hideHistoryIds(afterCursor(this.File, {
+				isArchived: true,
+				archivedAt: { $ne: null }
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
 			transaction: trx
+		}).then(function(files) {
+			return takePage(files, order, pagination.limit);
 		});
 	}
 
-	searchDocumentByHistoryId(historyId, pagination, trx) {
-		return this.Document.findAll({
-			where: {
-				id: { $gt: pagination[0] },
+	searchFileByHistoryId(historyId, pagination, hiddenIds, trx) {
+		const order = [['revision', 'DESC'], ['id', 'DESC']];
+
+		return this.File.findAll({
+			where: hideHistoryIds(afterCursor(this.File, {
 				historyId: historyId
-			},
-			order: [['revision', 'DESC']],
-			limit: pagination[1],
+			}, order, pagination.cursor), hiddenIds),
+			order: order,
+			limit: pagination.limit + 1,
 			transaction: trx
-		}).then(function(documents) {
-			if (documents.length === 0) {
-				throw new HttpError('document_not_exist', 404);
+		}).then(function(files) {
+			if (files.length === 0 && !pagination.cursor) {
+				throw new HttpError('file_not_exist', 404);
 			}
 
-			return documents;
+			return takePage(files, order, pagination.limit);
 		});
 	}
 
-	searchDocumentByTagId(tagId, pagination, trx) {
-		return this.Document.findAll({
-			where: {
-				id: { $gt: pagination[0] },
+	searchFileByTagId(tagId, pagination, hiddenIds, trx) {
+		const order = [['updatedAt', 'DESC'], ['id', 'DESC']];
+
+		return this.File.findAll({
+			where: hideHistoryIds(afterCursor(this.File, {
 				isArchived: false
-			},
+			}, order, pagination.cursor), hiddenIds),
 			include: [{
 				model: this.Tag,
 				attributes: [],
@@ -480,323 +1858,653 @@ class PersistModel {
 					id: tagId
 				}
 			}],
-			limit: pagination[1],
-			order: [['updatedAt', 'DESC']],
+			limit: pagination.limit + 1,
+			order: order,
 			transaction: trx
-		}).then(function(documents) {
-			if (documents.length === 0) {
+		}).then(function(files) {
+			if (files.length === 0 && !pagination.cursor) {
 				throw new HttpError('tag_not_exist', 404);
 			}
 
-			return documents;
+			return takePage(files, order, pagination.limit);
 		});
 	}
 
-	searchDocumentByText(text, pagination, trx) {
-		return this.Document.findAll({
-			where: {
-				id: { $gt: pagination[0] },
-				$or: [
-					{ title: { $like: `%${text}%` } },
-					{ content: { $like: `%${text}%` } },
-				],
-				isArchived: false
-			},
-			order: [['updatedAt', 'DESC']],
-			limit: pagination[1],
-			transaction: trx
-		});
+	searchFileByText(text, pagination, hiddenIds, trx) {
+		return this.searchByRank('file', this.File, text, pagination, hiddenIds, trx);
 	}
 
-	addDocument(document, trx) {
-		return Parser.renderPromise(document.content, this).then((parsedContent) => {
-			document.parsedContent = parsedContent;
+	addFile(file, trx) {
+		return this.render(file.content, true, null).then((parsedContent) => {
+			file.parsedContent = parsedContent;
+			file.renderVersion = Parser.version;
 
-			return this.Document.create(sanitize(document, [
+			return this.File.create(sanitize(file, [
 				'historyId',
 				'revision',
-				'title',
+				'filename',
+				'originalName',
+				'mimeType',
+				'size',
+				'width',
+				'height',
 				'content',
-				'parsedContent'
+				'parsedContent',
+				'renderVersion',
+				'revertedFromId',
+				'revertReason'
 			]), {
 				transaction: trx
-			}).then((createdDocument) => {
+			}).then((createdFile) => {
 				return Promise.all([
-					createdDocument.setAuthor(document.authorId, { transaction: trx }),
+					createdFile.setAuthor(file.authorId, { transaction: trx }),
 
-					Promise.map(document.tags, (tag) => {
+					Promise.map(file.tags, (tag) => {
 						return this.increaseOrAddTag(tag, trx);
 					}).then(function(tags) {
-						return createdDocument.setTags(tags, { transaction: trx });
-					})
-				]).thenReturn(createdDocument);
+						return createdFile.setTags(tags, { transaction: trx });
+					}),
+
+					this.indexSearchTarget('file', createdFile, trx),
+					this.addLinks('file', createdFile, trx),
+					(createdFile.revision === 1 ? this.notifyEdit('file', null, createdFile, file.authorId, trx) : null)
+				]).thenReturn(createdFile);
 			});
 		});
 	}
 
-	updateDocument(id, document, trx) {
-		return this.Document.findOne({
-			where: { historyId: document.historyId },
-			order: [['createdAt', 'DESC']],
-			limit: 1
-		}).then((latestDocument) => {
-			if (!latestDocument) {
-				throw new HttpError('document_not_exist', 404);
-			}
-
-			if (document.revision <= latestDocument) {
-				throw new HttpError('document_already_updated', 409);
+	updateFile(id, file, trx) {
+		return this.getFile(id, trx).then((baseFile) => {
+			if (file.historyId && file.historyId !== baseFile.historyId) {
+				throw new HttpError('request_invalid', 400);
 			}
 
-			if (latestDocument.content === document.content) {
-				return latestDocument.getTags({ transaction: trx }).filter(function(foundTag) {
-					return !document.tags.find(function(tag) {
-						const exists = (tag.title === foundTag.title);
+			return this.File.findOne({
+				where: { historyId: baseFile.historyId },
+				order: [['revision', 'DESC']],
+				lock: trx.LOCK.UPDATE,
+				transaction: trx
+			}).then((latestFile) => {
+				if (latestFile.isArchived) {
+					throw new HttpError('file_not_exist', 404);
+				}
 
-						if (exists) {
-							tag.id = foundTag.id;
-						}
+				if (latestFile.revision !== baseFile.revision) {
+					throw createConflict('file_already_updated', baseFile, latestFile);
+				}
 
-						return exists;
+				if (latestFile.content === file.content && latestFile.filename === file.filename) {
+					return latestFile.getTags({ transaction: trx }).then((foundTags) => {
+						return [matchTags(foundTags, file.tags), latestFile];
 					});
-				}).then((foundTags) => {
-					return [foundTags.length > 0, latestDocument];
-				});
-			} else {
-				return [true, latestDocument];
-			}
-		}).spread((updateRequired, foundDocument) => {
+				} else {
+					return [true, latestFile];
+				}
+			});
+		}).spread((updateRequired, foundFile) => {
 			if (updateRequired) {
-				return this.archiveDocumentInstance(foundDocument, trx).then(() => {
-					document.historyId = foundDocument.historyId;
-					document.revision = foundDocument.revision + 1;
+				return this.archiveFileInstance(foundFile, trx).then(() => {
+					file.historyId = foundFile.historyId;
+					file.revision = foundFile.revision + 1;
 
-					return this.addDocument(document, trx);
+					return this.addFile(file, trx);
+				}).then((createdFile) => {
+					return Promise.all([
+						this.carryComments('file', foundFile, createdFile, trx),
+						this.notifyEdit('file', foundFile, createdFile, file.authorId, trx)
+					]).thenReturn(createdFile);
 				});
 			} else {
-				return Promise.map(document.tags, (tag) => {
+				return Promise.map(file.tags, (tag) => {
 					return this.updateTag(tag.id, {
 						title: tag.title,
 						color: tag.color
 					}, trx);
-				}).thenReturn(foundDocument);
+				}).thenReturn(foundFile);
 			}
+		}).catch(isRevisionConflict, function() {
+			throw new HttpError('file_already_updated', 409);
 		});
 	}
 
-	archiveDocument(id, trx) {
-		return this.Document.findOne({
+	revertFile(id, targetId, revert, trx) {
+		return Promise.all([
+			this.getFile(id, trx),
+			this.getFile(targetId, trx)
+		]).spread((baseFile, targetFile) => {
+			if (baseFile.historyId !== targetFile.historyId) {
+				throw new HttpError('request_invalid', 400);
+			}
+
+			return targetFile.getTags({ transaction: trx }).then((tags) => {
+				return this.updateFile(id, {
+					authorId: revert.authorId,
+					filename: targetFile.filename,
+					originalName: targetFile.originalName,
+					mimeType: targetFile.mimeType,
+					size: targetFile.size,
+					width: targetFile.width,
+					height: targetFile.height,
+					content: targetFile.content,
+					tags: tags.map(function(tag) {
+						return { title: tag.title, color: tag.color };
+					}),
+					revertedFromId: targetFile.id,
+					revertReason: revert.reason
+				}, trx);
+			});
+		});
+	}
+
+	archiveFile(id, archiverId, trx) {
+		return this.File.findOne({
 			where: {
 				id: id,
 				isArchived: false
 			},
 			transaction: trx
-		}).then((foundDocument) => {
-			if (!foundDocument) {
-				throw new HttpError('document_not_exist', 404);
+		}).then((foundFile) => {
+			if (!foundFile) {
+				throw new HttpError('file_not_exist', 404);
 			}
 
-			return this.archiveDocumentInstance(foundDocument, trx);
-		});
-	}
-
-	archiveDocumentInstance(document, trx) {
-		return document.update({ isArchived: true }, { transaction: trx }).then(() => {
-			return document.getTags({ transaction: trx }).map((tag) => {
-				return this.decreaseTag(tag.id, trx);
+			return this.archiveFileInstance(foundFile, trx);
+		}).then(function(file) {
+			return file.update({
+				isArchived: true,
+				archivedAt: new Date(),
+				archiverId: archiverId
+			}, {
+				transaction: trx
 			});
-		}).thenReturn(document);
+		});
 	}
 
-	getFile(id, trx) {
-		return this.File.findById(id, { transaction: trx }).then((file) => {
-			if (!file) {
+	restoreFile(id, trx) {
+		return this.File.findOne({
+			where: {
+				id: id,
+				isArchived: true,
+				archivedAt: { $ne: null }
+			},
+			transaction: trx
+		}).then((foundFile) => {
+			if (!foundFile) {
 				throw new HttpError('file_not_exist', 404);
 			}
 
-			return file;
-		});
-	}
+			return this.File.update({
+				isArchived: false,
+				archivedAt: null,
+				archiverId: null
+			}, {
+				where: {
+					id: foundFile.id,
+					isArchived: true
+				},
+				transaction: trx
+			}).spread((count) => {
+				if (count == 0) {
+					throw new HttpError('file_already_updated', 409);
+				}
 
-	searchFile(type, query, pagination, trx) {
-		return (
-			({
-				'history': this.searchFileByHistoryId,
-				'tag': this.searchFileByTagId,
-				'text': this.searchFileByText
-			})[type] || this.searchFileByDate
-		).call(this, query, pagination, trx);
+				return foundFile.getTags({ transaction: trx });
+			}).map((tag) => {
+				return this.increaseOrAddTag({
+					title: tag.title,
+					color: tag.color
+				}, trx);
+			}).then((tags) => {
+				return Promise.all([
+					foundFile.setTags(tags, { transaction: trx }),
+					this.indexSearchTarget('file', foundFile, trx),
+					this.addLinks('file', foundFile, trx)
+				]);
+			}).then(function() {
+				return foundFile.reload({ transaction: trx });
+			});
+		});
 	}
 
-	searchFileByDate(__, pagination, trx) {
-		return this.File.findAll({
+	archiveFileInstance(file, trx) {
+		return this.File.update({ isArchived: true }, {
 			where: {
-				id: { $gt: pagination[0]},
+				id: file.id,
 				isArchived: false
 			},
-			order: [['updatedAt', 'DESC']],
-			limit: pagination[1],
 			transaction: trx
+		}).spread((count) => {
+			if (count == 0) {
+				throw new HttpError('file_already_updated', 409);
+			}
+
+			return Promise.all([
+				file.getTags({ transaction: trx }).map((tag) => {
+					return this.decreaseTag(tag.id, trx);
+				}),
+
+				this.unindexSearchTarget('file', file.id, trx),
+				this.removeLinks('file', file.id, trx)
+			]);
+		}).thenReturn(file);
+	}
+
+	// Scored in the database, so only a page of the matching targets is loaded.
+	// Each posting weighs (1 + ln(count)) * ln(1 + total / frequency of the term) * the boost of the field.
+	searchByRank(targetType, Model, text, pagination, hiddenIds, trx) {
+		const query = Search.parseQuery(text);
+		const quote = (identifier) => this.client.getQueryInterface().quoteIdentifier(identifier);
+		const column = (table, name) => `${quote(table)}.${quote(name)}`;
+		const conditions = [];
+
+		const replacements = {
+			targetType: targetType,
+			hiddenIds: hiddenIds,
+			limit: pagination.limit + 1
+		};
+
+		if (query.terms.length > 0) {
+			conditions.push((table) => `${column(table, 'term')} IN (:terms)`);
+			replacements.terms = query.terms;
+		}
+
+		if (query.prefix) {
+			conditions.push((table) => `${column(table, 'term')} LIKE :prefix`);
+			replacements.prefix = `${query.prefix}%`;
+		}
+
+		if (conditions.length === 0) {
+			return Promise.resolve([[], null]);
+		}
+
+		const tableName = quote(this.SearchTerm.getTableName());
+
+		const whereOf = (table) => [
+			`${column(table, 'targetType')} = :targetType`,
+			`(${conditions.map((condition) => condition(table)).join(' OR ')})`
+		].concat(hiddenIds.length > 0 ? [`${column(table, 'historyId')} NOT IN (:hiddenIds)`] : []).join(' AND ');
+
+		// Stock SQLite has no LN(), so the logarithms are worked out here and given to the query as CASE tables
+		const caseOf = (expression, pairs) => `CASE ${expression} ` +
+			pairs.map(([key, value]) => `WHEN ${this.client.escape(key)} THEN ${value} `).join('') +
+			'ELSE 0 END';
+
+		const selectMatches = (columns, groupBy) => this.client.query(`SELECT ${columns} FROM ${tableName} AS ${quote('term')} ` +
+			`WHERE ${whereOf('term')} GROUP BY ${column('term', groupBy)}`, {
+			replacements: replacements,
+			type: this.client.QueryTypes.SELECT,
+			transaction: trx
+		});
+
+		const scoreQuery = (termWeights, countWeights) => `SELECT ${column('posting', 'targetId')} AS ${quote('targetId')}, ` +
+			`SUM(${caseOf(column('posting', 'count'), countWeights)} * ${caseOf(column('posting', 'term'), termWeights)} * ` +
+			`${caseOf(column('posting', 'field'), _.toPairs(searchBoosts))}) AS ${quote('score')} ` +
+			`FROM ${tableName} AS ${quote('posting')} WHERE ${whereOf('posting')} GROUP BY ${column('posting', 'targetId')}`;
+
+		// Ranked by the score and then the id, so the cursor holds the score and the id of the last item
+		let afterCondition = '';
+
+		if (pagination.cursor) {
+			[replacements.lastScore, replacements.lastId] = pagination.cursor;
+			afterCondition = `WHERE ${quote('score')} < :lastScore OR (${quote('score')} = :lastScore AND ${quote('targetId')} < :lastId) `;
+		}
+
+		return Promise.all([
+			Model.count({
+				where: { isArchived: false },
+				transaction: trx
+			}),
+			selectMatches(`${column('term', 'term')} AS ${quote('term')}, COUNT(DISTINCT ${column('term', 'targetId')}) AS ${quote('frequency')}`, 'term'),
+			selectMatches(`${column('term', 'count')} AS ${quote('count')}`, 'count')
+		]).spread((total, terms, counts) => {
+			if (terms.length === 0) {
+				return [];
+			}
+
+			const termWeights = terms.map(function({term, frequency}) {
+				return [term, Math.log(1 + total / Number(frequency))];
+			});
+
+			const countWeights = counts.map(function({count}) {
+				return [Number(count), 1 + Math.log(Number(count))];
+			});
+
+			return this.client.query(`SELECT ${quote('targetId')}, ${quote('score')} FROM (${scoreQuery(termWeights, countWeights)}) AS ${quote('ranked')} ` +
+				`${afterCondition}ORDER BY ${quote('score')} DESC, ${quote('targetId')} DESC LIMIT :limit`, {
+				replacements: replacements,
+				type: this.client.QueryTypes.SELECT,
+				transaction: trx
+			});
+		}).then((rows) => {
+			const pageRows = rows.slice(0, pagination.limit);
+			const lastRow = _.last(pageRows);
+			const next = (rows.length > pagination.limit ? [Number(lastRow.score), lastRow.targetId] : null);
+
+			return Model.findAll({
+				where: { id: { $in: _.map(pageRows, 'targetId') } },
+				transaction: trx
+			}).then(function(instances) {
+				return [pageRows.map(function(row) {
+					return instances.find((instance) => (instance.id === row.targetId));
+				}).filter(function(instance) {
+					return !!instance;
+				}).map(function(instance) {
+					instance.setDataValue('snippet', Search.snippet(instance.content, query.words));
+					return instance;
+				}), next];
+			});
 		});
 	}
 
-	searchFileByHistoryId(historyId, pagination, trx) {
-		return this.File.findAll({
+	indexSearchTarget(targetType, instance, trx) {
+		const fields = {
+			title: (targetType === 'file' ? instance.filename : instance.title),
+			content: instance.content
+		};
+
+		const terms = _.flatMap(fields, function(text, field) {
+			return _.map(Search.analyze(text), function(count, term) {
+				return {
+					term: term,
+					targetType: targetType,
+					targetId: instance.id,
+					historyId: instance.historyId,
+					field: field,
+					count: count
+				};
+			});
+		});
+
+		return this.SearchTerm.bulkCreate(terms, { transaction: trx });
+	}
+
+	unindexSearchTarget(targetType, id, trx) {
+		return this.SearchTerm.destroy({
 			where: {
-				id: { $gt: pagination[0] },
-				historyId: historyId
+				targetType: targetType,
+				targetId: id
 			},
-			order: [['revision', 'DESC']],
-			limit: pagination[1],
 			transaction: trx
-		}).then(function(files) {
-			if (files.length === 0) {
-				throw new HttpError('file_not_exist', 404);
-			}
+		});
+	}
 
-			return files;
+	rebuildSearchIndex(trx) {
+		return Promise.all([
+			this.SearchTerm.destroy({
+				where: {},
+				transaction: trx
+			}),
+			this.Link.destroy({
+				where: {},
+				transaction: trx
+			})
+		]).then(() => {
+			return Promise.all([
+				this.Document.findAll({
+					where: { isArchived: false },
+					transaction: trx
+				}).each((document) => {
+					return Promise.all([
+						this.indexSearchTarget('document', document, trx),
+						this.addLinks('document', document, trx)
+					]);
+				}),
+				this.File.findAll({
+					where: { isArchived: false },
+					transaction: trx
+				}).each((file) => {
+					return Promise.all([
+						this.indexSearchTarget('file', file, trx),
+						this.addLinks('file', file, trx)
+					]);
+				}),
+				this.User.findAll({ transaction: trx }).each(function(user) {
+					return user.update({ searchName: Search.disassemble(user.name) }, {
+						silent: true,
+						transaction: trx
+					});
+				}),
+				this.Tag.findAll({ transaction: trx }).each(function(tag) {
+					return tag.update({ searchTitle: Search.disassemble(tag.title) }, {
+						silent: true,
+						transaction: trx
+					});
+				})
+			]);
+		}).spread(function(documents, files) {
+			return {
+				documents: documents.length,
+				files: files.length
+			};
 		});
 	}
 
-	searchFileByTagId(tagId, pagination, trx) {
-		return this.File.findAll({
+	searchLink(targetType, historyId, pagination, user, trx) {
+		const order = [['id', 'ASC']];
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Link.findAll({
+				where: hideHistoryIds(afterCursor(this.Link, {
+					targetType: targetType,
+					targetHistoryId: historyId
+				}, order, pagination.cursor), hiddenIds, 'sourceHistoryId'),
+				order: order,
+				limit: pagination.limit + 1,
+				transaction: trx
+			});
+		}).then(function(links) {
+			return takePage(links, order, pagination.limit);
+		});
+	}
+
+	searchWantedDocument(pagination, user, trx) {
+		const order = [['targetTitle', 'ASC']];
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Link.findAll({
+				attributes: [
+					'targetTitle',
+					[Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('sourceHistoryId'))), 'count']
+				],
+				where: hideHistoryIds(afterCursor(this.Link, {
+					targetType: 'document',
+					targetHistoryId: null,
+					targetTitle: { $ne: null }
+				}, order, pagination.cursor), hiddenIds, 'sourceHistoryId'),
+				group: ['targetTitle'],
+				order: order,
+				limit: pagination.limit + 1,
+				transaction: trx
+			});
+		}).then(function(links) {
+			return takePage(links, order, pagination.limit);
+		}).spread(function(links, next) {
+			return [links.map(function(link) {
+				return {
+					title: link.targetTitle,
+					count: parseInt(link.get('count'), 10)
+				};
+			}), next];
+		});
+	}
+
+	// Only the head revisions have their links stored, so the links are added and removed along with the search index
+	addLinks(sourceType, instance, trx) {
+		const links = (sourceType === 'file' ? Parser.extractInlineLinks : Parser.extractLinks)(instance.content);
+		const idsOf = (type) => links.filter((link) => (link.type === type && link.id)).map((link) => link.id);
+		const titles = links.filter((link) => link.title).map((link) => link.title);
+
+		return Promise.all([
+			this.Document.findAll({
+				where: { id: { $in: idsOf('document') } },
+				attributes: ['historyId'],
+				transaction: trx
+			}),
+			this.File.findAll({
+				where: { id: { $in: idsOf('file') } },
+				attributes: ['historyId'],
+				transaction: trx
+			}),
+			this.Document.findAll({
+				where: {
+					title: { $in: titles },
+					isArchived: false
+				},
+				attributes: ['historyId', 'title'],
+				transaction: trx
+			})
+		]).spread((documents, files, titledDocuments) => {
+			const targets = _.uniqBy([].concat(
+				documents.map((document) => ({ targetType: 'document', targetHistoryId: document.historyId })),
+				files.map((file) => ({ targetType: 'file', targetHistoryId: file.historyId })),
+				titles.map(function(title) {
+					const document = titledDocuments.find((document) => (document.title === title));
+
+					return {
+						targetType: 'document',
+						targetHistoryId: (document ? document.historyId : null),
+						targetTitle: title
+					};
+				})
+			), (target) => `${target.targetType}.${target.targetHistoryId || target.targetTitle}`);
+
+			return this.Link.bulkCreate(targets.map(function(target) {
+				return Object.assign({
+					sourceType: sourceType,
+					sourceId: instance.id,
+					sourceHistoryId: instance.historyId
+				}, target);
+			}), {
+				transaction: trx
+			});
+		});
+	}
+
+	// Links by title made before the document existed now point to it
+	resolveLinks(document, trx) {
+		return this.Link.update({
+			targetHistoryId: document.historyId
+		}, {
 			where: {
-				id: { $gt: pagination[0] },
-				isArchived: false
+				targetType: 'document',
+				targetHistoryId: null,
+				targetTitle: document.title
 			},
-			include: [{
-				model: this.Tag,
-				attributes: [],
-				where: {
-					id: tagId
-				}
-			}],
-			limit: pagination[1],
-			order: [['updatedAt', 'DESC']],
 			transaction: trx
-		}).then(function(files) {
-			if (files.length === 0) {
-				throw new HttpError('tag_not_exist', 404);
-			}
-
-			return files;
 		});
 	}
 
-	searchFileByText(text, pagination, trx) {
-		return this.File.findAll({
+	removeLinks(sourceType, id, trx) {
+		return this.Link.destroy({
 			where: {
-				id: { $gt: pagination[0] },
-				$or: [
-					{ filename: { $like: `%${text}%` } },
-					{ content: { $like: `%${text}%` } },
-				],
-				isArchived: false
+				sourceType: sourceType,
+				sourceId: id
 			},
-			order: [['updatedAt', 'DESC']],
-			limit: pagination[1],
 			transaction: trx
 		});
 	}
 
-	addFile(file, trx) {
-		return Parser.renderInlinePromise(file.content, this).then((parsedContent) => {
-			file.parsedContent = parsedContent;
+	// The parser keeps the raw HTML in the content, so every rendered HTML passes the allowlist before being stored
+	// A stored HTML is shown to every reader, so it is rendered with no `viewer` and embeds only what the public can see
+	render(content, inline, viewer, warnings) {
+		const render = (inline ? Parser.renderInlinePromise : Parser.renderPromise);
 
-			return this.File.create(sanitize(file, [
-				'historyId',
-				'revision',
-				'filename',
-				'content',
-				'parsedContent'
-			]), {
-				transaction: trx
-			}).then((createdFile) => {
-				return Promise.all([
-					createdFile.setAuthor(file.authorId, { transaction: trx }),
+		return render(content, this, (viewer || null), (warnings || null)).then((html) => {
+			return Html.sanitize(html, this.sanitizeOptions, warnings);
+		});
+	}
 
-					Promise.map(file.tags, (tag) => {
-						return this.increaseOrAddTag(tag, trx);
-					}).then(function(tags) {
-						return createdFile.setTags(tags, { transaction: trx });
-					})
-				]).thenReturn(createdFile);
-			});
+	// Renders the content the same way as saving it, but nothing is stored
+	previewContent(content, inline, user) {
+		const warnings = [];
+
+		return this.render(content, inline, user, warnings).then(function(html) {
+			return {
+				html: html,
+				warnings: _.uniqWith(warnings, _.isEqual)
+			};
 		});
 	}
 
-	updateFile(id, file, trx) {
-		return this.File.findOne({
-			where: { historyId: file.historyId },
-			order: [['createdAt', 'DESC']],
-			limit: 1
-		}).then((latestFile) => {
-			if (!latestFile) {
-				throw new HttpError('file_not_exist', 404);
-			}
+	// Rendering again is not an edit, so updatedAt is kept
+	rerender(instance, trx) {
+		return this.render(instance.content, (instance.Model === this.File), null).then((parsedContent) => {
+			const changes = {
+				parsedContent: parsedContent,
+				renderVersion: Parser.version
+			};
 
-			if (file.revision <= latestFile) {
-				throw new HttpError('file_already_updated', 409);
+			if (instance.Model === this.Document) {
+				changes.outline = Parser.extractOutline(instance.content);
 			}
 
-			if (latestFile.content === file.content) {
-				return latestFile.getTags({ transaction: trx }).filter(function(foundTag) {
-					return !file.tags.find(function(tag) {
-						const exists = (tag.title === foundTag.title);
-
-						if (exists) {
-							tag.id = foundTag.id;
-						}
+			return instance.update(changes, {
+				silent: true,
+				transaction: trx
+			});
+		}).catch(Sequelize.ValidationError, function() {
+			// Keeps the stored HTML, so that a content which can't be rendered doesn't stop the next batches
+			return instance.update({ renderVersion: Parser.version }, {
+				silent: true,
+				validate: false,
+				transaction: trx
+			});
+		});
+	}
 
-						return exists;
-					});
-				}).then((foundTags) => {
-					return [foundTags.length > 0, latestFile];
-				});
-			} else {
-				return [true, latestFile];
+	rerenderOutdated(limit, trx) {
+		return Promise.reduce([this.Document, this.File, this.Comment], (count, Model) => {
+			if (count >= limit) {
+				return count;
 			}
-		}).spread((updateRequired, foundFile) => {
-			if (updateRequired) {
-				return this.archiveFileInstance(foundFile, trx).then(() => {
-					file.historyId = foundFile.historyId;
-					file.revision = foundFile.revision + 1;
 
-					return this.addFile(file, trx);
-				});
-			} else {
-				return Promise.map(foundFile.tags, (tag) => {
-					return this.updateTag(tag.id, {
-						title: tag.title,
-						color: tag.color
-					}, trx);
-				}).thenReturn(foundFile);
-			}
-		});
+			return Model.findAll({
+				where: { renderVersion: { $lt: Parser.version } },
+				order: [['id', 'ASC']],
+				limit: limit - count,
+				transaction: trx
+			}).each((instance) => {
+				return this.rerender(instance, trx);
+			}).then(function(instances) {
+				return count + instances.length;
+			});
+		}, 0);
 	}
-	
-	archiveFile(id, trx) {
-		return this.File.findOne({
+
+	// The documents linking to or embedding the target render its title and state, so they are rendered again when it changes
+	rerenderLinkSources(targetType, historyId, trx) {
+		return this.Link.findAll({
 			where: {
-				id: id,
-				isArchived: false
+				targetType: targetType,
+				targetHistoryId: historyId
 			},
+			attributes: ['sourceType', 'sourceHistoryId'],
 			transaction: trx
-		}).then((foundFile) => {
-			if (!foundFile) {
-				throw new HttpError('file_not_exist', 404);
-			}
-
-			return this.archiveFileInstance(foundFile, trx);
-		});
-	}
+		}).then((links) => {
+			return Promise.map([['document', this.Document], ['file', this.File]], ([sourceType, Model]) => {
+				const historyIds = _.uniq(links.filter(function(link) {
+					return (link.sourceType === sourceType);
+				}).map(function(link) {
+					return link.sourceHistoryId;
+				}));
+
+				if (historyIds.length === 0) {
+					return [];
+				}
 
-	archiveFileInstance(file, trx) {
-		return file.update({ isArchived: true }, { transaction: trx }).then(() => {
-			return file.getTags({ transaction: trx }).map((tag) => {
-				return this.decreaseTag(tag.id, trx);
+				return Model.findAll({
+					where: {
+						historyId: { $in: historyIds },
+						isArchived: false
+					},
+					transaction: trx
+				});
 			});
-		}).thenReturn(file);
+		}).then(_.flatten).each((instance) => {
+			return this.rerender(instance, trx);
+		}).then(function(instances) {
+			return instances.length;
+		});
 	}
 
 	getTag(id, trx) {
@@ -810,48 +2518,22 @@ class PersistModel {
 	}
 
 	searchTag(query, pagination, trx) {
-		let lastChar = query.substr(query.length - 1, 1);
-
-		if (isCompleteChar(lastChar)) {
-			query = query.substr(0, query.length - 1);
-		} else {
-			lastChar = null;
-		}
+		const order = [['title', 'ASC'], ['id', 'ASC']];
 
 		return this.Tag.findAll({
-			where: {
-				id: { $gt: pagination[0] },
-				title: { $like: `%${query}%` }
-			},
-			order: [['title', 'ASC']],
-			limit: pagination[1],
+			where: afterCursor(this.Tag, this.whereLike('searchTitle', `%${escapeLike(Search.disassemble(query))}%`), order, pagination.cursor),
+			order: order,
+			limit: pagination.limit + 1,
 			transaction: trx
-		}).filter(function(tag) {
-			if (lastChar === null) {
-				return true;
-			}
-
-			const queryIndex = tag.title.indexOf(query);
-			const charAfterQuery = tag.title.substr(queryIndex + 1, 1);
-
-			if (charAfterQuery) {
-				return Hangul.search(charAfterQuery, lastChar);
-			} else {
-				return false;
-			}
+		}).then(function(tags) {
+			return takePage(tags, order, pagination.limit);
 		});
 	}
 
+	// Updated through the instance, so that the setter of the title fills searchTitle as well
 	updateTag(id, tag, trx) {
-		return this.Tag.update(sanitize(tag, ['title', 'color']), {
-			where: { id: id },
-			transaction: trx
-		}).spread((count) => {
-			if (count == 0) {
-				throw new HttpError('tag_not_exist', 404);
-			}
-
-			return this.getTag(id, trx);
+		return this.getTag(id, trx).then(function(foundTag) {
+			return foundTag.update(sanitize(tag, ['title', 'color']), { transaction: trx });
 		});
 	}
 
@@ -870,11 +2552,11 @@ class PersistModel {
 			where: { title: tag.title },
 			transaction: trx
 		}).then((foundTag) => {
+			// updateTag leaves the count as it is, so it is increased on its own without reading it first
 			if (foundTag) {
-				return this.updateTag(foundTag.id, {
-					count: foundTag.count + 1,
-					color: tag.color
-				}, trx);
+				return foundTag.increment('count', { transaction: trx }).then(() => {
+					return this.updateTag(foundTag.id, { color: tag.color }, trx);
+				});
 			} else {
 				return this.Tag.create({
 					title: tag.title,
@@ -896,6 +2578,17 @@ class PersistModel {
 		});
 	}
 
+	// The users and the replies of the threads are loaded in the same query, so finalizing them queries nothing more
+	getThreadInclude() {
+		// Sequelize changes the include options given, so each include has its own
+		const createUserInclude = () => [
+			{ model: this.User, as: 'author' },
+			{ model: this.User, as: 'resolver' }
+		];
+
+		return createUserInclude().concat({ model: this.Comment, as: 'replies', include: createUserInclude() });
+	}
+
 	getComment(id, trx) {
 		return this.Comment.findById(id, { transaction: trx }).then(function(comment) {
 			if (!comment) {
@@ -906,55 +2599,196 @@ class PersistModel {
 		});
 	}
 
-	addComment(documentId, comment, trx) {
-		return this.Document.findOne({
+	// All the threads move to the new revision, so a resolved one can still be reopened.
+	// The ranges follow the changes, but an outdated one is kept as it was. Moving them is not an edit, so updatedAt is kept.
+	carryComments(targetType, baseTarget, target, trx) {
+		const targetKey = `${targetType}Id`;
+
+		return this.Comment.findAll({
+			where: {
+				[targetKey]: baseTarget.id,
+				parentId: null
+			},
+			transaction: trx
+		}).each(function(comment) {
+			const changes = { [targetKey]: target.id };
+			const range = JSON.parse(comment.range);
+
+			if (range && !comment.isOutdated) {
+				const mappedRange = mapRange(baseTarget.content || '', target.content || '', range);
+
+				if (mappedRange) {
+					changes.range = mappedRange;
+				} else {
+					changes.isOutdated = true;
+				}
+			}
+
+			return comment.update(changes, {
+				silent: true,
+				transaction: trx
+			});
+		}).then((comments) => {
+			if (comments.length === 0) {
+				return null;
+			}
+
+			return this.Comment.update({ [targetKey]: target.id }, {
+				where: { parentId: { $in: _.map(comments, 'id') } },
+				silent: true,
+				transaction: trx
+			});
+		});
+	}
+
+	// Only the threads are paginated, and each of them carries all of its replies
+	searchComment(targetType, targetId, pagination, trx) {
+		const order = [['createdAt', 'ASC'], ['id', 'ASC']];
+
+		return this.Comment.findAll({
+			where: afterCursor(this.Comment, {
+				[`${targetType}Id`]: targetId,
+				parentId: null
+			}, order, pagination.cursor),
+			include: this.getThreadInclude(),
+			order: order,
+			limit: pagination.limit + 1,
+			transaction: trx
+		}).then(function(comments) {
+			return takePage(comments, order, pagination.limit);
+		});
+	}
+
+	addComment(targetType, targetId, comment, trx) {
+		const Model = (targetType === 'file' ? this.File : this.Document);
+
+		return Model.findOne({
 			where: {
-				id: documentId,
+				id: targetId,
 				isArchived: false
 			},
 			transaction: trx
-		}).then(function(document) {
-			if (!document) {
-				throw new HttpError('document_not_exist', 412);
+		}).then((target) => {
+			if (!target) {
+				throw new HttpError(`${targetType}_not_exist`, 412);
+			}
+
+			if (!comment.parentId) {
+				return [target, null];
+			}
+
+			return this.getComment(comment.parentId, trx).then(function(parent) {
+				if (parent[`${targetType}Id`] !== target.id) {
+					throw new HttpError('request_invalid', 400);
+				}
+
+				return [target, parent];
+			});
+		}).spread((target, parent) => {
+			// A reply to a reply joins the same thread, and shares the range of the thread
+			if (parent) {
+				comment.parentId = (parent.parentId || parent.id);
+				comment.range = null;
 			}
 
-			return Parser.renderPromise(comment.content, this).then((parsedContent) => {
+			return this.render(comment.content, false, null).then((parsedContent) => {
 				comment.parsedContent = parsedContent;
+				comment.renderVersion = Parser.version;
 
-				return document.createComment(sanitize(comment, [
+				return target.createComment(sanitize(comment, [
 					'content',
 					'parsedContent',
+					'renderVersion',
+					'parentId',
 					'range'
 				]), {
 					transaction: trx
 				});
 			});
-		}).then(function(addedComment) {
+		}).then((addedComment) => {
 			return addedComment.setAuthor(comment.authorId, {
 				transaction: trx
+			}).then(() => {
+				return this.notifyComment(addedComment, null, trx);
 			}).thenReturn(addedComment);
 		});
 	}
 
-	updateComment(id, comment, trx) {
-		return this.Comment.update(sanitize(comment, ['content', 'range']), {
-			where: { id: id },
-			include: [{
-				model: this.Document,
-				attributes: [],
-				where: { isArchived: false }
-			}],
-			transaction: trx
-		}).spread((count) => {
-			if (count == 0) {
-				throw new HttpError('comment_not_exist', 404);
+	updateComment(id, comment, user, trx) {
+		return this.getWritableComment(id, user, trx).then((foundComment) => {
+			const baseContent = foundComment.content;
+
+			return this.render(comment.content, false, null).then((parsedContent) => {
+				comment.parsedContent = parsedContent;
+				comment.renderVersion = Parser.version;
+
+				return foundComment.update(sanitize(comment, ['content', 'parsedContent', 'renderVersion', 'range']), {
+					transaction: trx
+				});
+			}).then((updatedComment) => {
+				return this.notifyComment(updatedComment, baseContent, trx).thenReturn(updatedComment);
+			});
+		});
+	}
+
+	removeComment(id, user, trx) {
+		return this.getWritableComment(id, user, trx).then((comment) => {
+			return this.Comment.destroy({
+				where: { parentId: comment.id },
+				transaction: trx
+			}).then(function() {
+				return comment.destroy({ transaction: trx });
+			}).thenReturn(comment);
+		});
+	}
+
+	resolveComment(id, resolverId, trx) {
+		return this.getThreadComment(id, trx).then(function(comment) {
+			if (comment.isResolved) {
+				return comment;
+			}
+
+			return comment.update({
+				isResolved: true,
+				resolvedAt: new Date(),
+				resolverId: resolverId
+			}, {
+				transaction: trx
+			});
+		});
+	}
+
+	reopenComment(id, trx) {
+		return this.getThreadComment(id, trx).then(function(comment) {
+			return comment.update({
+				isResolved: false,
+				resolvedAt: null,
+				resolverId: null
+			}, {
+				transaction: trx
+			});
+		});
+	}
+
+	// Resolves a reply to the first comment of its thread
+	getThreadComment(id, trx) {
+		return this.getActiveComment(id, trx).then((comment) => {
+			return (comment.parentId ? this.getActiveComment(comment.parentId, trx) : comment);
+		});
+	}
+
+	getWritableComment(id, user, trx) {
+		return this.getActiveComment(id, trx).then(function(comment) {
+			if (comment.authorId !== user.id && !Permission.can(user, 'comment.moderate')) {
+				throw new HttpError('permission_denied', 403);
 			}
 
-			return this.getComment(id, trx);
+			return comment;
 		});
 	}
 
-	removeComment(id, trx) {
+	// The comments on an archived revision can't be changed anymore
+	getActiveComment(id, trx) {
 		return this.Comment.findOne({
 			where: { id: id },
 			transaction: trx
@@ -964,9 +2798,11 @@ class PersistModel {
 					return false;
 				}
 
-				return this.Document.count({
+				const Model = (comment.fileId ? this.File : this.Document);
+
+				return Model.count({
 					where: {
-						id: comment.documentId,
+						id: (comment.fileId || comment.documentId),
 						isArchived: false
 					},
 					transaction: trx
@@ -978,8 +2814,282 @@ class PersistModel {
 					throw new HttpError('comment_not_exist', 404);
 				}
 
-				return comment.destroy({ transaction: trx }).thenReturn(comment);
+				return comment;
+			});
+		});
+	}
+
+	// The notifications on the pages hidden from the user since they were made are left out
+	searchNotification(user, unread, pagination, trx) {
+		const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+		const where = (unread ? { userId: user.id, isRead: false } : { userId: user.id });
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Notification.findAll({
+				where: hideHistoryIds(afterCursor(this.Notification, where, order, pagination.cursor), hiddenIds),
+				order: order,
+				limit: pagination.limit + 1,
+				transaction: trx
+			});
+		}).then(function(notifications) {
+			return takePage(notifications, order, pagination.limit);
+		});
+	}
+
+	countUnreadNotification(user, trx) {
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Notification.count({
+				where: hideHistoryIds({
+					userId: user.id,
+					isRead: false
+				}, hiddenIds),
+				transaction: trx
+			});
+		});
+	}
+
+	readNotification(user, id, trx) {
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Notification.findOne({
+				where: hideHistoryIds({
+					id: id,
+					userId: user.id
+				}, hiddenIds),
+				transaction: trx
+			});
+		}).then(function(notification) {
+			if (!notification) {
+				throw new HttpError('notification_not_exist', 404);
+			}
+
+			return (notification.isRead ? notification : notification.update({
+				isRead: true,
+				readAt: new Date()
+			}, {
+				transaction: trx
+			}));
+		});
+	}
+
+	readAllNotification(user, trx) {
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Notification.update({
+				isRead: true,
+				readAt: new Date()
+			}, {
+				where: hideHistoryIds({
+					userId: user.id,
+					isRead: false
+				}, hiddenIds),
+				transaction: trx
+			});
+		});
+	}
+
+	// Only the users mentioned for the first time are told, so editing the rest of the content doesn't repeat it
+	notifyEdit(targetType, baseTarget, target, actorId, trx) {
+		const extractMentions = (targetType === 'file' ? Parser.extractInlineMentions : Parser.extractMentions);
+		const mentionedIds = _.difference(extractMentions(target.content), (baseTarget ? extractMentions(baseTarget.content) : []));
+
+		return this.getFollowerIds(targetType, target.historyId, trx).then((followerIds) => {
+			return this.notify({
+				type: 'edit',
+				actorId: actorId,
+				targetType: targetType,
+				targetId: target.id,
+				historyId: target.historyId
+			}, mentionedIds, followerIds, trx);
+		});
+	}
+
+	// Updating a comment only tells the users newly mentioned in it
+	notifyComment(comment, baseContent, trx) {
+		const targetType = (comment.fileId ? 'file' : 'document');
+		const Model = (comment.fileId ? this.File : this.Document);
+		const mentionedIds = _.difference(Parser.extractMentions(comment.content), Parser.extractMentions(baseContent));
+
+		return Model.findById((comment.fileId || comment.documentId), { transaction: trx }).then((target) => {
+			return Promise.all([
+				target,
+				(_.isNull(baseContent) ? this.getFollowerIds(targetType, target.historyId, trx) : [])
+			]);
+		}).spread((target, followerIds) => {
+			return this.notify({
+				type: 'comment',
+				actorId: comment.authorId,
+				targetType: targetType,
+				targetId: target.id,
+				historyId: target.historyId,
+				commentId: comment.id
+			}, mentionedIds, followerIds, trx);
+		});
+	}
+
+	// The users who have written any revision of the page, or watch it
+	getFollowerIds(targetType, historyId, trx) {
+		const Model = (targetType === 'file' ? this.File : this.Document);
+
+		return Promise.all([
+			Model.findAll({
+				where: { historyId: historyId },
+				attributes: ['authorId'],
+				transaction: trx
+			}),
+			this.Watch.findAll({
+				where: {
+					targetType: targetType,
+					historyId: historyId
+				},
+				attributes: ['userId'],
+				transaction: trx
+			})
+		]).spread(function(targets, watches) {
+			return _.compact(_.union(_.map(targets, 'authorId'), _.map(watches, 'userId')));
+		});
+	}
+
+	// The mentioned users are told about the mention, and the followers about the change itself.
+	// Nobody is told about their own change, twice about the same one, or about a page they can't view.
+	notify(notification, mentionedIds, followerIds, trx) {
+		return Promise.all([
+			this.User.findAll({
+				where: { id: { $in: _.union(mentionedIds, followerIds) } },
+				attributes: ['id', 'role'],
+				transaction: trx
+			}),
+			this.getVisibility(notification.historyId, trx).then(function(visibility) {
+				return visibility.finalize(trx);
+			})
+		]).spread((users, visibility) => {
+			const userIds = users.filter((user) => Permission.canView(user, visibility)).map((user) => user.id);
+			const mentionedUserIds = _.without(_.intersection(mentionedIds, userIds), notification.actorId);
+			const otherIds = _.difference(_.intersection(followerIds, userIds), mentionedUserIds.concat([notification.actorId]));
+
+			return this.Notification.bulkCreate([].concat(
+				mentionedUserIds.map((userId) => Object.assign({}, notification, { type: 'mention', userId: userId })),
+				otherIds.map((userId) => Object.assign({}, notification, { userId: userId }))
+			), {
+				transaction: trx
+			});
+		});
+	}
+
+	searchWatch(user, pagination, trx) {
+		const order = [['createdAt', 'DESC'], ['id', 'DESC']];
+
+		return this.getHiddenHistoryIds(user, trx).then((hiddenIds) => {
+			return this.Watch.findAll({
+				where: hideHistoryIds(afterCursor(this.Watch, {
+					userId: user.id
+				}, order, pagination.cursor), hiddenIds),
+				order: order,
+				limit: pagination.limit + 1,
+				transaction: trx
+			});
+		}).then(function(watches) {
+			return takePage(watches, order, pagination.limit);
+		});
+	}
+
+	addWatch(userId, targetType, historyId, trx) {
+		const watch = {
+			userId: userId,
+			targetType: targetType,
+			historyId: historyId
+		};
+
+		return this.Watch.findOne({
+			where: watch,
+			transaction: trx
+		}).then((foundWatch) => {
+			return (foundWatch || this.Watch.create(watch, { transaction: trx }));
+		});
+	}
+
+	removeWatch(userId, targetType, historyId, trx) {
+		return this.Watch.findOne({
+			where: {
+				userId: userId,
+				targetType: targetType,
+				historyId: historyId
+			},
+			transaction: trx
+		}).then(function(watch) {
+			if (!watch) {
+				throw new HttpError('watch_not_exist', 404);
+			}
+
+			return watch.destroy({ transaction: trx }).thenReturn(watch);
+		});
+	}
+
+	// Merges the edits, the archives and the comments on the watched pages, from the newest.
+	// The cursor holds the time, the kind and the id of the last item, as the kinds come from different tables.
+	searchFeed(user, pagination, trx) {
+		const quote = (identifier) => this.client.getQueryInterface().quoteIdentifier(identifier);
+
+		return Promise.all([
+			this.Watch.findAll({
+				where: { userId: user.id },
+				transaction: trx
+			}),
+			this.getHiddenHistoryIds(user, trx)
+		]).spread((watches, hiddenIds) => {
+			const historyIdsOf = (targetType) => _.difference(_.map(_.filter(watches, { targetType: targetType }), 'historyId'), hiddenIds);
+			const revisionIdsOf = (Model, historyIds) => Sequelize.literal(`(SELECT ${quote('id')} FROM ${quote(Model.getTableName())} ` +
+				`WHERE ${quote('historyId')} IN (${historyIds.map((historyId) => this.client.escape(historyId)).join(', ')}))`);
+
+			const sources = _.flatMap([['document', this.Document], ['file', this.File]], ([targetType, Model]) => {
+				const historyIds = historyIdsOf(targetType);
+
+				return [{
+					type: 'edit',
+					targetType: targetType,
+					Model: Model,
+					timeKey: 'createdAt',
+					where: { historyId: { $in: historyIds } },
+					isEmpty: (historyIds.length === 0)
+				}, {
+					type: 'archive',
+					targetType: targetType,
+					Model: Model,
+					timeKey: 'archivedAt',
+					where: {
+						historyId: { $in: historyIds },
+						archivedAt: { $ne: null }
+					},
+					isEmpty: (historyIds.length === 0)
+				}, {
+					type: 'comment',
+					targetType: targetType,
+					Model: this.Comment,
+					timeKey: 'createdAt',
+					where: { [`${targetType}Id`]: { $in: (historyIds.length > 0 ? revisionIdsOf(Model, historyIds) : []) } },
+					isEmpty: (historyIds.length === 0)
+				}];
+			});
+
+			// The index of a source is the rank of its items
+			return Promise.map(sources, (source, rank) => {
+				if (source.isEmpty) {
+					return [];
+				}
+
+				return source.Model.findAll({
+					where: afterFeedCursor(source.where, source.timeKey, rank, pagination.cursor),
+					order: [[source.timeKey, 'DESC'], ['id', 'DESC']],
+					limit: pagination.limit + 1,
+					transaction: trx
+				}).map((instance) => {
+					return createFeedItem(this, source, rank, instance);
+				});
 			});
+		}).then(function(itemLists) {
+			const items = _.orderBy(_.flatten(itemLists), ['time', 'rank', 'id'], ['desc', 'desc', 'desc']);
+			const pageItems = items.slice(0, pagination.limit);
+			const lastItem = _.last(pageItems);
+
+			return [pageItems, (items.length > pagination.limit ? [lastItem.time, lastItem.rank, lastItem.id] : null)];
 		});
 	}
 }
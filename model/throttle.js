@@ -0,0 +1,113 @@
+const async = require('async');
+
+class ThrottleModel {
+	constructor(cache, throttleConfig) {
+		this.cache = cache;
+		this.config = throttleConfig;
+
+		// Used instead of the cache server when it is not configured
+		this.attempts = new Map();
+	}
+
+	check(keys, callback) {
+		async.map(keys, (key, callback) => {
+			this.load(key, callback);
+		}, (error, attempts) => {
+			if (error) {
+				callback(error, null);
+				return;
+			}
+
+			const now = Date.now();
+
+			const retryAfter = attempts.reduce((result, attempt) => {
+				const lockedUntil = this.getLockedUntil(attempt);
+
+				if (lockedUntil <= now) {
+					return result;
+				}
+
+				return Math.max(result, Math.ceil((lockedUntil - now) / 1000));
+			}, 0);
+
+			callback(null, retryAfter);
+		});
+	}
+
+	// The lock is worked out from the count when it is checked, so a failure is counted with a single atomic write
+	getLockedUntil(attempt) {
+		const {delay, maxDelay} = this.config;
+
+		if (!attempt || attempt.count <= attempt.freeAttempts) {
+			return 0;
+		}
+
+		const lockedFor = Math.min(delay * Math.pow(2, attempt.count - attempt.freeAttempts - 1), maxDelay);
+		return attempt.failedAt + lockedFor * 1000;
+	}
+
+	fail(key, freeAttempts, callback) {
+		const {maxDelay, window} = this.config;
+		const ttl = Math.ceil(Math.max(window, maxDelay));
+
+		const attempt = {
+			failedAt: Date.now(),
+			freeAttempts: freeAttempts
+		};
+
+		if (this.cache.client) {
+			this.cache.increaseAttempt(key, attempt, ttl, callback);
+			return;
+		}
+
+		// Loading and saving in the memory is synchronous, so nothing runs between them
+		this.load(key, (error, foundAttempt) => {
+			attempt.count = (foundAttempt ? foundAttempt.count : 0) + 1;
+			this.save(key, attempt, ttl, callback);
+		});
+	}
+
+	reset(key, callback) {
+		if (this.cache.client) {
+			this.cache.clearAttempt(key, callback);
+		} else {
+			this.attempts.delete(key);
+			callback(null);
+		}
+	}
+
+	load(key, callback) {
+		if (this.cache.client) {
+			this.cache.loadAttempt(key, callback);
+			return;
+		}
+
+		const item = this.attempts.get(key);
+
+		if (item && item.expiresAt > Date.now()) {
+			callback(null, item.attempt);
+		} else {
+			this.attempts.delete(key);
+			callback(null, null);
+		}
+	}
+
+	save(key, attempt, ttl, callback) {
+		const now = Date.now();
+
+		this.attempts.forEach((item, itemKey) => {
+			if (item.expiresAt <= now) {
+				this.attempts.delete(itemKey);
+			}
+		});
+
+		this.attempts.set(key, {
+			attempt: attempt,
+			expiresAt: now + ttl * 1000
+		});
+
+		callback(null);
+	}
+}
+
+module.exports = ThrottleModel;
\ No newline at end of file
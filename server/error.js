@@ -14,6 +14,7 @@ function middleware(express, model, config) {
 				json.error = {
 					name: data.error.name,
 					message: data.error.message,
+					details: (data.error.details || null),
 					stack: (config.debug ? data.error.stack : null)
 				};
 			}
@@ -27,11 +28,12 @@ function middleware(express, model, config) {
 }
 
 class HttpError extends Error {
-	constructor(messageId, status) {
+	constructor(messageId, status, details) {
 		super(messages[messageId] || messageId);
 		this.name = 'HttpError';
 
 		this.status = status;
+		this.details = details;
 	}
 }
 
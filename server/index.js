@@ -22,10 +22,25 @@ const defaultConfig = {
 		name: 'Kokoto',
 		pagination: 20
 	},
+	password: {
+		digest: 'sha512',
+		iterations: 100000
+	},
+	throttle: {
+		accountAttempts: 5,
+		ipAttempts: 20,
+		delay: 1,
+		maxDelay: 900,
+		window: 3600
+	},
+	render: {
+		interval: 60,
+		batchSize: 50
+	},
 	debug: false
 };
 
-const middlewares = ['body', 'session', 'error', 'route'];
+const middlewares = ['body', 'error', 'session', 'route'];
 
 class KokotoHttpd extends http.Server {
 	constructor(config) {
@@ -46,6 +61,10 @@ class KokotoHttpd extends http.Server {
 				middleware(this.express, this.model, this.config);
 			});
 
+			this.model.startRerendering((error) => {
+				this.emit('renderError', error);
+			});
+
 			console.log(util.format(messages.server_ready, 'kokoto-httpd'));
 		});
 	}
@@ -1,6 +1,7 @@
 const session = require('express-session');
 
 const {HttpError} = require('./error');
+const {can} = require('../util/permission');
 
 module.exports = function(express, model, config) {
 	const options = (function(cacheConfig) {
@@ -19,8 +20,55 @@ module.exports = function(express, model, config) {
 		return result;
 	})(config.database.cache);
 
+	express.use(function(req, res, next) {
+		const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+
+		if (!match) {
+			next();
+			return;
+		}
+
+		model.authToken(match[1], function(error, user) {
+			if (error) {
+				res.jsonAuto({ error: error });
+				return;
+			}
+
+			// express-session leaves an existing req.session untouched, so nothing gets stored or sent as a cookie
+			req.session = {
+				user: user,
+				destroy: function(callback) {
+					callback(null);
+				}
+			};
+
+			next();
+		});
+	});
+
 	express.use(session(options));
 
+	// The stored user is loaded again on each request, so a changed role or a removed user takes effect at once
+	express.use(function(req, res, next) {
+		if (!(req.session instanceof session.Session) || !req.session.user) {
+			next();
+			return;
+		}
+
+		model.getUser(req.session.user.id, function(error, user) {
+			if (error && error.status === 404) {
+				req.session.destroy(function(error) {
+					next(error);
+				});
+			} else if (error) {
+				res.jsonAuto({ error: error });
+			} else {
+				req.session.user = user;
+				next();
+			}
+		});
+	});
+
 	express.use(function(req, res, next) {
 		res.shouldSignin = function() {
 			if (!req.session || !req.session.user) {
@@ -34,6 +82,20 @@ module.exports = function(express, model, config) {
 			}
 		};
 
+		res.shouldPermit = function(action) {
+			if (res.shouldSignin()) {
+				return true;
+			} else if (!can(req.session.user, action)) {
+				res.jsonAuto({
+					error: new HttpError('permission_denied', 403)
+				});
+
+				return true;
+			} else {
+				return false;
+			}
+		};
+
 		next();
 	});
 };
\ No newline at end of file
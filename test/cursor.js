@@ -0,0 +1,42 @@
+const assert = require('assert');
+
+const Cursor = require('../util/cursor');
+const messages = require('../static/messages.json');
+
+describe('Cursor', function() {
+	const secret = 'secret';
+	const values = ['2017-01-01T00:00:00.000Z', 42];
+
+	function shouldBeInvalid(scope, cursor) {
+		assert.throws(function() {
+			Cursor.decode(scope, cursor, secret);
+		}, function(error) {
+			return (error.status === 400 && error.message === messages.cursor_invalid);
+		}, cursor);
+	}
+
+	it('gives back the values encoded for the same list', function() {
+		const cursor = Cursor.encode('document.text', values, secret);
+
+		assert.deepStrictEqual(Cursor.decode('document.text', cursor, secret), values);
+	});
+
+	it('has no cursor after the last page', function() {
+		assert.strictEqual(Cursor.encode('document.text', null, secret), null);
+		assert.strictEqual(Cursor.decode('document.text', '', secret), null);
+	});
+
+	it('refuses a cursor whose values are changed', function() {
+		const [, signature] = Cursor.encode('document.text', values, secret).split('.');
+		const payload = Buffer.from(JSON.stringify(['2017-01-01T00:00:00.000Z', 1])).toString('base64').replace(/=+$/, '');
+
+		shouldBeInvalid('document.text', `${payload}.${signature}`);
+		shouldBeInvalid('document.text', payload);
+		shouldBeInvalid('document.text', 'garbage');
+	});
+
+	it('refuses a cursor made for another list or with another secret', function() {
+		shouldBeInvalid('document.text', Cursor.encode('document.query', values, secret));
+		shouldBeInvalid('document.text', Cursor.encode('document.text', values, 'another'));
+	});
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const assert = require('assert');
+
+const {merge3, mapRange} = require('../util/diff');
+
+describe('Diff', function() {
+	describe('mapRange', function() {
+		const cases = [
+			['follows the text moved by an earlier change', 'a\nhello world\n', 'b\nsay hello world\n', { start: 8, end: 13 }, { start: 12, end: 17 }],
+			['keeps a word with a letter changed', 'hello world\n', 'hello wxrld\n', { start: 6, end: 11 }, { start: 6, end: 11 }],
+			['keeps a word with a letter added', 'hello world\n', 'hello worlds\n', { start: 6, end: 11 }, { start: 6, end: 11 }],
+			['shrinks to the words left', 'hello big world\n', 'hello world\n', { start: 0, end: 15 }, { start: 0, end: 11 }],
+			['is lost when the word is replaced', 'hello world\n', 'hello there\n', { start: 6, end: 11 }, null],
+			['is lost when the line is removed', 'a\nhello world\nb\n', 'a\nb\n', { start: 2, end: 13 }, null]
+		];
+
+		cases.forEach(function([description, base, changed, range, expected]) {
+			it(description, function() {
+				assert.deepStrictEqual(mapRange(base, changed, range), expected);
+			});
+		});
+	});
+
+	describe('merge3', function() {
+		const base = 'a\nb\nc\nd\n';
+
+		it('takes both changes made in different lines', function() {
+			const result = merge3(base, 'A\nb\nc\nd\n', 'a\nb\nc\nD\n');
+
+			assert.strictEqual(result.isClean, true);
+			assert.strictEqual(result.content, 'A\nb\nc\nD\n');
+		});
+
+		it('takes the same change made on both sides once', function() {
+			const result = merge3(base, 'a\nB\nc\nd\n', 'a\nB\nc\nd\n');
+
+			assert.strictEqual(result.isClean, true);
+			assert.strictEqual(result.content, 'a\nB\nc\nd\n');
+		});
+
+		it('conflicts when both changed the same line', function() {
+			const result = merge3(base, 'a\nB\nc\nd\n', 'a\nX\nc\nd\n');
+
+			assert.strictEqual(result.isClean, false);
+			assert.strictEqual(result.content, null);
+			assert.deepStrictEqual(result.blocks, [
+				{ value: 'a\n' },
+				{ conflict: true, base: 'b\n', mine: 'B\n', theirs: 'X\n' },
+				{ value: 'c\nd\n' }
+			]);
+		});
+
+		it('conflicts when both changed the adjacent lines', function() {
+			const result = merge3(base, 'a\nB\nc\nd\n', 'a\nb\nC\nd\n');
+
+			assert.strictEqual(result.isClean, false);
+			assert.deepStrictEqual(result.blocks[1], { conflict: true, base: 'b\nc\n', mine: 'B\nc\n', theirs: 'b\nC\n' });
+		});
+	});
+});
\ No newline at end of file
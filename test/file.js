@@ -0,0 +1,106 @@
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const errorMiddleware = require('../server/error');
+const fileApp = require('../apps/file');
+const messages = require('../static/messages.json');
+
+describe('File app', function() {
+	const uploadDirPath = path.join(__dirname, '..', 'static', 'file');
+	const createdDir = !fs.existsSync(uploadDirPath);
+	const existingFilenames = (createdDir ? [] : fs.readdirSync(uploadDirPath));
+
+	let server;
+	let baseUrl;
+	let savedFiles;
+
+	before(function(done) {
+		if (createdDir) {
+			fs.mkdirSync(uploadDirPath);
+		}
+
+		const app = express();
+
+		const model = {
+			getFile: function(id, user, callback) {
+				callback(null, { id: Number(id) });
+			},
+			updateFile: function(id, file, callback) {
+				savedFiles.push(file);
+				callback(null, file);
+			}
+		};
+
+		errorMiddleware(app, model, {});
+
+		app.use(function(req, res, next) {
+			req.session = { user: { id: 'alice', role: 'editor' } };
+			res.shouldPermit = () => false;
+			next();
+		});
+
+		fileApp(app, model, { url: '' });
+
+		server = app.listen(0, '127.0.0.1', function() {
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+			done();
+		});
+	});
+
+	after(function(done) {
+		fs.readdirSync(uploadDirPath).filter(function(filename) {
+			return (existingFilenames.indexOf(filename) < 0);
+		}).forEach(function(filename) {
+			fs.unlinkSync(path.join(uploadDirPath, filename));
+		});
+
+		if (createdDir) {
+			fs.rmdirSync(uploadDirPath);
+		}
+
+		server.close(done);
+	});
+
+	beforeEach(function() {
+		savedFiles = [];
+	});
+
+	function putFile(tags) {
+		const form = new FormData();
+
+		form.append('content', 'a note');
+		form.append('stream', new Blob(['hello'], { type: 'text/plain' }), 'a.txt');
+
+		if (tags !== undefined) {
+			form.append('tags', tags);
+		}
+
+		return fetch(`${baseUrl}/file/1`, { method: 'PUT', body: form }).then(function(res) {
+			return res.json();
+		});
+	}
+
+	describe('PUT /file/:id', function() {
+		it('reads the tags sent as a JSON string', function() {
+			return putFile(JSON.stringify([{ title: 'a', color: '#ff0000' }])).then(function(body) {
+				assert.strictEqual(body.error, null);
+				assert.deepStrictEqual(savedFiles.map((file) => file.tags), [[{ title: 'a', color: '#ff0000' }]]);
+			});
+		});
+
+		it('takes no tags when they are left out', function() {
+			return putFile(undefined).then(function() {
+				assert.deepStrictEqual(savedFiles.map((file) => file.tags), [[]]);
+			});
+		});
+
+		it('refuses the broken tags', function() {
+			return Promise.all(['a,b', '{"title":"a"}'].map(putFile)).then(function(bodies) {
+				assert.deepStrictEqual(bodies.map((body) => body.error.message), [messages.request_invalid, messages.request_invalid]);
+				assert.strictEqual(savedFiles.length, 0);
+			});
+		});
+	});
+});
\ No newline at end of file
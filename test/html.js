@@ -0,0 +1,65 @@
+const assert = require('assert');
+
+const Html = require('../util/html');
+
+// [description, input, the sanitized output]
+const cases = [
+	['removes a script with its content', '<script>alert(1)</script>hello', 'hello'],
+	['removes an uppercase script', '<SCRIPT SRC=//evil.js></SCRIPT>', ''],
+	['removes a script split by another one', '<scr<script>ipt>alert(1)</script>', 'ipt&gt;alert(1)'],
+	['removes a script opened twice', '<<script>alert(1)//<</script>', '&lt;'],
+	['removes a script after a broken attribute', '<IMG """><SCRIPT>alert("XSS")</SCRIPT>">', '<img>&quot;&gt;'],
+	['escapes a script breaking out of an attribute', '"><script>alert(1)</script>', '&quot;&gt;'],
+
+	['removes an event handler', '<img src=x onerror=alert(1)>', '<img src="x">'],
+	['removes a quoted event handler', '<p onclick="alert(1)" class="a">text</p>', '<p class="a">text</p>'],
+	['removes an event handler next to a safe link', '<a href="/document/1" onmouseover=alert(1)>x</a>', '<a href="/document/1">x</a>'],
+	['removes an event handler in a table cell', '<table><tr><td colspan=2 onclick=x>c</td></tr></table>', '<table><tr><td colspan="2">c</td></tr></table>'],
+	['keeps an escaped event handler in a value', '<p title="a&quot; onclick=&quot;alert(1)">x</p>', '<p title="a&quot; onclick=&quot;alert(1)">x</p>'],
+
+	['removes a javascript URL', '<a href="javascript:alert(1)">x</a>', '<a>x</a>'],
+	['removes a mixed case javascript URL', '<a href="JaVaScRiPt:alert(1)">x</a>', '<a>x</a>'],
+	['removes a javascript URL split by a tab', '<a href="java\tscript:alert(1)">x</a>', '<a>x</a>'],
+	['removes a javascript URL after a space', '<a href=" javascript:alert(1)">x</a>', '<a>x</a>'],
+	['removes a javascript URL in decimal entities', '<a href="&#106;avascript:alert(1)">x</a>', '<a>x</a>'],
+	['removes a javascript URL in hex and named entities', '<a href="&#x6A;avascript&colon;alert(1)">x</a>', '<a>x</a>'],
+	['removes a data URL', '<a href="data:text/html,<script>alert(1)</script>">x</a>', '<a>x</a>'],
+	['removes a vbscript URL', '<img src="vbscript:msgbox(1)">', '<img>'],
+	['removes an unknown scheme', '<img src=x:alert(1) alt="a" """>', '<img alt="a">'],
+	['keeps an http URL', '<a href="http://example.com" title="t">ok</a>', '<a href="http://example.com" title="t">ok</a>'],
+
+	['removes an iframe with its content', '<iframe src="http://evil"></iframe>after', 'after'],
+	['removes a style with its content', '<style>body{}</style>after', 'after'],
+	['removes a script nested in an svg', '<svg><script>alert(1)</script></svg>after', 'after'],
+	['removes a javascript URL nested in a math', '<math><mi xlink:href="javascript:alert(1)">x</mi></math>', ''],
+	['removes an object and an embed', '<object data="x"></object><embed src="x">after', 'after'],
+	['removes a form', '<form action="javascript:alert(1)"><input></form>', ''],
+	['removes a script in a comment', '<!-- <script>alert(1)</script> -->after', 'after'],
+
+	['closes the tags in order', '<b><i>nested</b>', '<b><i>nested</i></b>'],
+	['closes the tags left open', '<div><p>open', '<div><p>open</p></div>']
+];
+
+describe('Html', function() {
+	describe('sanitize', function() {
+		cases.forEach(function([description, input, output]) {
+			it(description, function() {
+				assert.strictEqual(Html.sanitize(input), output);
+			});
+		});
+
+		it('warns about the removed tags and attributes', function() {
+			const warnings = [];
+			Html.sanitize('<p onclick="x">a</p><script>b</script>', null, warnings);
+
+			assert.deepStrictEqual(warnings.map((warning) => [warning.tag, warning.attribute]), [
+				['p', 'onclick'],
+				['script', undefined]
+			]);
+		});
+
+		it('follows the allowlist in the options', function() {
+			assert.strictEqual(Html.sanitize('<p><b>a</b></p>', { tags: ['p'] }), '<p>a</p>');
+		});
+	});
+});
\ No newline at end of file
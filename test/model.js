@@ -0,0 +1,95 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+
+const KokotoModel = require('../model');
+
+describe('KokotoModel', function() {
+	let model;
+
+	beforeEach(function() {
+		model = new KokotoModel({
+			database: {
+				persist: ['kokoto', null, null, {
+					dialect: 'sqlite',
+					storage: ':memory:',
+					logging: false
+				}],
+				cache: null
+			},
+			password: { iterations: 1 },
+			throttle: {
+				accountAttempts: 2,
+				ipAttempts: 3,
+				delay: 60,
+				maxDelay: 900,
+				window: 3600
+			},
+			url: ''
+		});
+
+		return model.persist.sync(true).then(function() {
+			return model.persist.client.transaction(function(trx) {
+				return model.persist.addUser({ id: 'alice', name: 'Alice', password: 'password' }, trx);
+			});
+		});
+	});
+
+	afterEach(function() {
+		return model.persist.client.close();
+	});
+
+	describe('authUser', function() {
+		const authUser = (id, password, ip) => Promise.fromCallback(function(callback) {
+			model.authUser(id, password, ip, callback);
+		});
+
+		function shouldFail(id, password, ip, status) {
+			return authUser(id, password, ip).then(function() {
+				assert.fail('signed in');
+			}, function(error) {
+				assert.strictEqual(error.status, status);
+				return error;
+			});
+		}
+
+		function failTimes(count, id, ip) {
+			return Promise.each(Array.from({ length: count }), function() {
+				return shouldFail(id, 'wrong', ip, 401);
+			});
+		}
+
+		it('locks the account after its free attempts, from any address', function() {
+			return failTimes(3, 'alice', '10.0.0.1').then(function() {
+				return shouldFail('Alice', 'password', '10.0.0.2', 429);
+			}).then(function(error) {
+				assert.strictEqual(error.retryAfter, 60);
+			});
+		});
+
+		it('locks the address after its free attempts, for any account', function() {
+			return Promise.each(['bobby', 'carol', 'david', 'erin'], function(id) {
+				return failTimes(1, id, '10.0.0.1');
+			}).then(function() {
+				return shouldFail('alice', 'password', '10.0.0.1', 429);
+			}).then(function(error) {
+				assert.strictEqual(error.retryAfter, 60);
+				return authUser('alice', 'password', '10.0.0.2');
+			}).then(function(user) {
+				assert.strictEqual(user.id, 'alice');
+			});
+		});
+
+		it('resets only the account on a success', function() {
+			return failTimes(2, 'alice', '10.0.0.1').then(function() {
+				return authUser('alice', 'password', '10.0.0.1');
+			}).then(function() {
+				return failTimes(2, 'alice', '10.0.0.1');
+			}).then(function() {
+				// The account has failed twice since the success, but the address four times
+				return shouldFail('alice', 'password', '10.0.0.1', 429);
+			}).then(function() {
+				return authUser('alice', 'password', '10.0.0.2');
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,158 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+
+const Parser = require('../util/parser');
+const {HttpError} = require('../server/error');
+
+function notFound(messageId) {
+	return Promise.reject(new HttpError(messageId, 404));
+}
+
+const users = {
+	alice: { id: 'alice', name: 'Alice' }
+};
+
+const files = {
+	1: { id: 1, historyId: 'file-1', filename: 'a.png', originalName: 'cat.png', mimeType: 'image/png', size: 2048, width: 40, height: 30 },
+	2: { id: 2, historyId: 'file-2', filename: 'b.pdf', originalName: 'paper.pdf', mimeType: 'application/pdf', size: 1536 },
+	4: { id: 4, historyId: 'file-4', filename: 'c.png', originalName: 'secret.png', mimeType: 'image/png', size: 512 }
+};
+
+const documents = {
+	Home: { id: 3, historyId: 'document-3', title: 'Home' },
+	Secret: { id: 5, historyId: 'document-5', title: 'Secret' }
+};
+
+// Only alice can see the hidden ones
+const hiddenHistoryIds = ['file-4', 'document-5'];
+
+const model = {
+	url: '/api',
+
+	getUser(id) {
+		return (users[id] ? Promise.resolve(users[id]) : notFound('user_not_exist'));
+	},
+
+	getFile(id) {
+		return (files[id] ? Promise.resolve(files[id]) : notFound('file_not_exist'));
+	},
+
+	getHeadFile(historyId) {
+		return Promise.resolve(Object.keys(files).map((id) => files[id]).find((file) => (file.historyId === historyId)));
+	},
+
+	getDocumentByTitle(title) {
+		return Promise.resolve(documents[title] || null);
+	},
+
+	canViewHistory(historyId, user) {
+		return Promise.resolve(hiddenHistoryIds.indexOf(historyId) < 0 || Boolean(user && user.id === 'alice'));
+	}
+};
+
+describe('Parser', function() {
+	describe('renderInline', function() {
+		it('renders the inline markups', function() {
+			return Parser.renderInlinePromise('**bold** and *italic* with [a link](http://example.com)', model, null, null).then(function(html) {
+				assert.strictEqual(html, '<strong>bold</strong> and <i>italic</i> with <a href="http://example.com">a link</a>');
+			});
+		});
+
+		it('renders a plain text as it is', function() {
+			return Parser.renderInlinePromise('just a text', model, null, null).then(function(html) {
+				assert.strictEqual(html, 'just a text');
+			});
+		});
+
+		it('renders a mention of an existing user as a link', function() {
+			return Parser.renderInlinePromise('hello @alice', model, null, null).then(function(html) {
+				assert.strictEqual(html, 'hello <a class="mention" href="/api/user/alice" title="Alice">@alice</a>');
+			});
+		});
+
+		it('leaves a mention of an unknown user as a text and warns', function() {
+			const warnings = [];
+
+			return Parser.renderInlinePromise('hello @nobody', model, null, warnings).then(function(html) {
+				assert.strictEqual(html, 'hello @nobody');
+				assert.deepStrictEqual(warnings.map((warning) => warning.type), ['user_not_exist']);
+			});
+		});
+	});
+
+	describe('render', function() {
+		it('embeds an image file with its size', function() {
+			return Parser.renderPromise('#[a cat](1)', model, null, null).then(function(html) {
+				assert.ok(html.includes('<img class="file-embed file-image" src="/api/file/1/stream" alt="a cat" width="40" height="30">'), html);
+			});
+		});
+
+		it('embeds another file as a card', function() {
+			return Parser.renderPromise('#[the paper](2)', model, null, null).then(function(html) {
+				assert.ok(html.includes('class="file-embed file-card"'), html);
+				assert.ok(html.includes('<span class="file-name">paper.pdf</span>'), html);
+				assert.ok(html.includes('<span class="file-details">1.5 KB, application/pdf</span>'), html);
+			});
+		});
+
+		it('renders a missing file as missing and warns', function() {
+			const warnings = [];
+
+			return Parser.renderPromise('#[nothing](9)', model, null, warnings).then(function(html) {
+				assert.ok(html.includes('<span class="file-embed file-missing">nothing</span>'), html);
+				assert.deepStrictEqual(warnings.map((warning) => warning.type), ['file_not_exist']);
+			});
+		});
+
+		it('renders a file hidden from the viewer as missing', function() {
+			const warnings = [];
+
+			return Parser.renderPromise('#[a secret](4)', model, null, warnings).then(function(html) {
+				assert.ok(html.includes('<span class="file-embed file-missing">a secret</span>'), html);
+				assert.deepStrictEqual(warnings.map((warning) => warning.type), ['file_not_exist']);
+			});
+		});
+
+		it('embeds a hidden file for the viewer who can see it', function() {
+			return Parser.renderPromise('#[a secret](4)', model, users.alice, null).then(function(html) {
+				assert.ok(html.includes('src="/api/file/4/stream"'), html);
+			});
+		});
+
+		it('links to a document hidden from the viewer as missing', function() {
+			const warnings = [];
+
+			return Parser.renderPromise('[[Secret]]', model, null, warnings).then(function(html) {
+				assert.ok(html.includes('<a class="wiki-link wiki-link-missing" href="/api/document?title=Secret">Secret</a>'), html);
+				assert.deepStrictEqual(warnings.map((warning) => warning.type), ['document_not_exist']);
+			});
+		});
+
+		it('links to a hidden document for the viewer who can see it', function() {
+			return Parser.renderPromise('[[Secret]]', model, users.alice, null).then(function(html) {
+				assert.ok(html.includes('<a class="wiki-link" href="/api/document/5">Secret</a>'), html);
+			});
+		});
+
+		it('links to an existing document by its title', function() {
+			return Parser.renderPromise('[[Home|home page]] and [[Nowhere]]', model, null, null).then(function(html) {
+				assert.ok(html.includes('<a class="wiki-link" href="/api/document/3">home page</a>'), html);
+				assert.ok(html.includes('<a class="wiki-link wiki-link-missing" href="/api/document?title=Nowhere">Nowhere</a>'), html);
+			});
+		});
+	});
+
+	describe('extractInlineLinks', function() {
+		it('finds the links to the pages of this wiki', function() {
+			assert.deepStrictEqual(Parser.extractInlineLinks('[doc](/document/3) [out](http://example.com/document/4)'), [
+				{ type: 'document', id: 3 }
+			]);
+		});
+	});
+
+	describe('extractMentions', function() {
+		it('finds the mentioned ids, but not the email addresses', function() {
+			assert.deepStrictEqual(Parser.extractMentions('@alice and @bob_1, mail me@example.com, @alice'), ['alice', 'bob_1']);
+		});
+	});
+});
\ No newline at end of file
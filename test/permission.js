@@ -0,0 +1,36 @@
+const assert = require('assert');
+
+const Permission = require('../util/permission');
+
+describe('Permission', function() {
+	describe('can', function() {
+		it('lets only a moderator or higher change the visibility', function() {
+			['document.visibility', 'file.visibility'].forEach(function(action) {
+				assert.deepStrictEqual(['reader', 'editor', 'moderator', 'admin'].map(function(role) {
+					return Permission.can({ id: 'alice', role: role }, action);
+				}), [false, false, true, true], action);
+			});
+		});
+
+		it('refuses an unknown action or a signed out user', function() {
+			assert.strictEqual(Permission.can({ id: 'alice', role: 'admin' }, 'document.unknown'), false);
+			assert.strictEqual(Permission.can(null, 'document.write'), false);
+		});
+
+		it('allows a token only the actions within its scopes, up to the role of its owner', function() {
+			const token = { id: 'alice', role: 'editor', scopes: ['document', 'user'] };
+
+			assert.strictEqual(Permission.can(token, 'document.write'), true);
+			assert.strictEqual(Permission.can(token, 'user.watch'), true);
+			assert.strictEqual(Permission.can(token, 'file.write'), false);
+			assert.strictEqual(Permission.can(token, 'document.archive'), false);
+		});
+
+		it('never lets a token manage the tokens', function() {
+			const token = { id: 'alice', role: 'admin', scopes: Permission.scopes };
+
+			assert.strictEqual(Permission.can(token, 'token.write'), false);
+			assert.strictEqual(Permission.can({ id: 'alice', role: 'reader' }, 'token.write'), true);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,762 @@
+const assert = require('assert');
+const Sequelize = require('sequelize');
+
+const PersistModel = require('../model/persist');
+const messages = require('../static/messages.json');
+
+describe('PersistModel', function() {
+	let persist;
+
+	function transaction(callback) {
+		return persist.client.transaction(callback);
+	}
+
+	function getTagCounts() {
+		return persist.Tag.findAll({ order: [['title', 'ASC']] }).map(function(tag) {
+			return `${tag.title}:${tag.count}`;
+		});
+	}
+
+	beforeEach(function() {
+		persist = new PersistModel(['kokoto', null, null, {
+			dialect: 'sqlite',
+			storage: ':memory:',
+			logging: false
+		}], {
+			password: { iterations: 1 },
+			url: ''
+		});
+
+		return persist.sync(true).then(function() {
+			return transaction(function(trx) {
+				return persist.addUser({ id: 'alice', name: 'Alice', password: 'password' }, trx);
+			});
+		});
+	});
+
+	afterEach(function() {
+		return persist.client.close();
+	});
+
+	describe('authUser', function() {
+		it('stores the password hashed', function() {
+			return persist.getUser('alice', null).then(function(user) {
+				assert.ok(user.password.startsWith('pbkdf2$'), user.password);
+			});
+		});
+
+		it('signs in with the right password', function() {
+			return transaction(function(trx) {
+				return persist.authUser('alice', 'password', trx);
+			}).then(function(user) {
+				assert.strictEqual(user.id, 'alice');
+			});
+		});
+
+		it('fails with a wrong password or an unknown id', function() {
+			function shouldFail(id, password) {
+				return transaction(function(trx) {
+					return persist.authUser(id, password, trx);
+				}).then(function() {
+					assert.fail('signed in');
+				}, function(error) {
+					assert.strictEqual(error.status, 401);
+				});
+			}
+
+			return shouldFail('alice', 'wrong').then(function() {
+				return shouldFail('nobody', 'password');
+			});
+		});
+
+		it('hashes the password again with a higher cost', function() {
+			persist.passwordOptions = { iterations: 2 };
+
+			return transaction(function(trx) {
+				return persist.authUser('alice', 'password', trx);
+			}).then(function(user) {
+				assert.ok(user.password.startsWith('pbkdf2$sha512$2$'), user.password);
+
+				return transaction(function(trx) {
+					return persist.authUser('alice', 'password', trx);
+				});
+			});
+		});
+	});
+
+	describe('authToken', function() {
+		function addToken(token) {
+			return transaction(function(trx) {
+				return persist.addToken('alice', token, trx);
+			});
+		}
+
+		function shouldFail(secret, status) {
+			return transaction(function(trx) {
+				return persist.authToken(secret, trx);
+			}).then(function() {
+				assert.fail('authenticated');
+			}, function(error) {
+				assert.strictEqual(error.status, status);
+			});
+		}
+
+		it('authenticates with the secret and keeps the scopes of the token', function() {
+			return addToken({ name: 'bot', scopes: ['document'] }).then(function(token) {
+				return transaction(function(trx) {
+					return persist.authToken(token.get('secret'), trx);
+				});
+			}).then(function(token) {
+				assert.strictEqual(token.userId, 'alice');
+				return token.finalize(null);
+			}).then(function(token) {
+				assert.deepStrictEqual(token.scopes, ['document']);
+				assert.strictEqual(token.digest, undefined);
+			});
+		});
+
+		it('refuses an unknown secret or an expired token', function() {
+			return addToken({ name: 'bot', expiresAt: new Date(Date.now() - 1000) }).then(function(token) {
+				return shouldFail(token.get('secret'), 401);
+			}).then(function() {
+				return shouldFail('unknown', 401);
+			});
+		});
+
+		it('refuses a scope which tokens don\'t have', function() {
+			return addToken({ name: 'bot', scopes: ['token'] }).then(function() {
+				assert.fail('added');
+			}, function(error) {
+				assert.ok(error.errors.some((item) => item.message === messages.scope_invalid), error.message);
+			});
+		});
+	});
+
+	describe('searchUser', function() {
+		beforeEach(function() {
+			const users = [['kimcs', '김철수'], ['kimyh', '김영희'], ['parkms', '박민수']];
+
+			return users.reduce(function(promise, [id, name]) {
+				return promise.then(function() {
+					return transaction(function(trx) {
+						return persist.addUser({ id: id, name: name, password: 'password' }, trx);
+					});
+				});
+			}, Promise.resolve());
+		});
+
+		function searchAll(query, limit) {
+			const pages = [];
+
+			function searchFrom(cursor) {
+				return persist.searchUser(query, { cursor: cursor, limit: limit }, null).then(function([users, next]) {
+					pages.push(users.map((user) => user.id));
+					return (next ? searchFrom(next) : pages);
+				});
+			}
+
+			return searchFrom(null);
+		}
+
+		it('fills every page with the matching users', function() {
+			return searchAll('김', 1).then(function(pages) {
+				assert.deepStrictEqual(pages, [['kimcs'], ['kimyh']]);
+			});
+		});
+
+		it('finds a name while its last syllable is still being typed', function() {
+			return Promise.all(['김처', '김철', '김철ㅅ', '철수', 'park', 'Ali', '%'].map(function(query) {
+				return searchAll(query, 20);
+			})).then(function(results) {
+				assert.deepStrictEqual(results, [[['kimcs']], [['kimcs']], [['kimcs']], [['kimcs']], [['parkms']], [['alice']], [[]]]);
+			});
+		});
+
+		it('finds a user by the changed name', function() {
+			return transaction(function(trx) {
+				return persist.updateUser('parkms', { name: '이민수' }, trx);
+			}).then(function(user) {
+				assert.strictEqual(user.name, '이민수');
+				return user.finalize(null);
+			}).then(function(user) {
+				assert.strictEqual(user.searchName, undefined);
+				return Promise.all([searchAll('임', 20), searchAll('박', 20)]);
+			}).then(function(results) {
+				assert.deepStrictEqual(results, [[['parkms']], [[]]]);
+			});
+		});
+	});
+
+	describe('searchTag', function() {
+		beforeEach(function() {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: ['자바', '자바스크립트', '파이썬'].map(function(title) {
+					return { title: title, color: '#ff0000' };
+				}) }, trx);
+			});
+		});
+
+		function search(query, cursor) {
+			return persist.searchTag(query, { cursor: cursor, limit: 1 }, null).then(function([tags, next]) {
+				return [tags.map((tag) => tag.title), next];
+			});
+		}
+
+		it('pages through the tags matching an incomplete syllable', function() {
+			return search('잡', null).then(function([titles, next]) {
+				assert.deepStrictEqual(titles, ['자바']);
+				return search('잡', next);
+			}).then(function([titles, next]) {
+				assert.deepStrictEqual(titles, ['자바스크립트']);
+				assert.strictEqual(next, null);
+			});
+		});
+
+		it('finds a tag by the changed title', function() {
+			return persist.Tag.findOne({ where: { title: '파이썬' } }).then(function(tag) {
+				return transaction(function(trx) {
+					return persist.updateTag(tag.id, { title: '루비' }, trx);
+				});
+			}).then(function() {
+				return Promise.all([search('룹', null), search('파', null)]);
+			}).then(function(results) {
+				assert.deepStrictEqual(results.map(([titles]) => titles), [['루비'], []]);
+			});
+		});
+	});
+
+	describe('Document#finalize', function() {
+		it('lists the threads with their replies, but not the replies on their own', function() {
+			let document;
+
+			function addComment(comment) {
+				return transaction(function(trx) {
+					return persist.addComment('document', document.id, Object.assign({ authorId: 'alice' }, comment), trx);
+				});
+			}
+
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [] }, trx);
+			}).then(function(addedDocument) {
+				document = addedDocument;
+				return addComment({ content: 'first' });
+			}).then(function(comment) {
+				return addComment({ content: 'reply', parentId: comment.id });
+			}).then(function() {
+				return addComment({ content: 'second' });
+			}).then(function() {
+				return document.finalize(null);
+			}).then(function(finalizedDocument) {
+				const threads = finalizedDocument.comments.map(function(comment) {
+					return [comment.content, comment.author.id, comment.replies.map((reply) => reply.content)];
+				});
+
+				assert.deepStrictEqual(threads, [['first', 'alice', ['reply']], ['second', 'alice', []]]);
+				assert.strictEqual(finalizedDocument.comments[0].author.password, undefined);
+			});
+		});
+	});
+
+	describe('carryComments', function() {
+		function addThread(document, range) {
+			return transaction(function(trx) {
+				return persist.addComment('document', document.id, { authorId: 'alice', content: 'note', range: range }, trx);
+			});
+		}
+
+		function updateContent(document, content) {
+			return transaction(function(trx) {
+				return persist.updateDocument(document.id, { authorId: 'alice', title: document.title, content: content, tags: [] }, trx);
+			});
+		}
+
+		it('moves a resolved thread too, so it can be reopened after an edit', function() {
+			let comment;
+
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello world\n', tags: [] }, trx);
+			}).then(function(document) {
+				return addThread(document, { start: 6, end: 11 }).then(function(addedComment) {
+					comment = addedComment;
+
+					return transaction(function(trx) {
+						return persist.resolveComment(comment.id, 'alice', trx);
+					});
+				}).then(function() {
+					return updateContent(document, 'well, hello world\n');
+				});
+			}).then(function(document) {
+				return transaction(function(trx) {
+					return persist.reopenComment(comment.id, trx);
+				}).then(function(reopenedComment) {
+					assert.strictEqual(reopenedComment.isResolved, false);
+					assert.strictEqual(reopenedComment.documentId, document.id);
+					assert.deepStrictEqual(JSON.parse(reopenedComment.range), { start: 12, end: 17 });
+				});
+			});
+		});
+
+		it('keeps the range of an outdated thread', function() {
+			let comment;
+
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello world\n', tags: [] }, trx);
+			}).then(function(document) {
+				return addThread(document, { start: 6, end: 11 }).then(function(addedComment) {
+					comment = addedComment;
+					return updateContent(document, 'hello there\n');
+				});
+			}).then(function() {
+				return persist.getComment(comment.id, null);
+			}).then(function(foundComment) {
+				assert.strictEqual(foundComment.isOutdated, true);
+				assert.deepStrictEqual(JSON.parse(foundComment.range), { start: 6, end: 11 });
+			});
+		});
+	});
+
+	describe('searchNotification', function() {
+		const pagination = { cursor: null, limit: 20 };
+		let bobby;
+
+		function countAll() {
+			return Promise.all([
+				persist.searchNotification(bobby, false, pagination, null),
+				persist.countUnreadNotification(bobby, null),
+				persist.searchWatch(bobby, pagination, null),
+				persist.searchFeed(bobby, pagination, null)
+			]).then(function([notifications, unreadCount, watches, feed]) {
+				return [notifications[0].length, unreadCount, watches[0].length, feed[0].length];
+			});
+		}
+
+		it('leaves out the pages hidden from the user after the notification', function() {
+			return transaction(function(trx) {
+				return persist.addUser({ id: 'bobby', name: 'Bobby', password: 'password' }, trx);
+			}).then(function(user) {
+				bobby = user;
+
+				return transaction(function(trx) {
+					return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello @bobby', tags: [] }, trx);
+				});
+			}).then(function(document) {
+				return transaction(function(trx) {
+					return persist.addWatch('bobby', 'document', document.historyId, trx);
+				}).then(function() {
+					return countAll();
+				}).then(function(counts) {
+					assert.deepStrictEqual(counts, [1, 1, 1, 1]);
+
+					return transaction(function(trx) {
+						return persist.updateVisibility(document.historyId, { level: 'private', userIds: ['alice'], roles: [] }, trx);
+					});
+				});
+			}).then(function() {
+				return countAll();
+			}).then(function(counts) {
+				assert.deepStrictEqual(counts, [0, 0, 0, 0]);
+			});
+		});
+	});
+
+	describe('rerenderLinkSources', function() {
+		it('renders the documents and the files linking to a page again', function() {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Index', content: 'go to [[Home]]', tags: [] }, trx);
+			}).then(function() {
+				return transaction(function(trx) {
+					return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [] }, trx);
+				});
+			}).then(function(home) {
+				return transaction(function(trx) {
+					return persist.addFile({ authorId: 'alice', filename: 'a.txt', content: 'see [home](/document/2)', tags: [] }, trx);
+				}).then(function() {
+					return persist.rerenderLinkSources('document', home.historyId, null);
+				});
+			}).then(function(count) {
+				assert.strictEqual(count, 2);
+				return persist.getDocumentByTitle('Index', null);
+			}).then(function(document) {
+				assert.ok(document.parsedContent.includes('<a class="wiki-link" href="/document/2">Home</a>'), document.parsedContent);
+			});
+		});
+
+		it('stores a link to a private page as missing, even for its author', function() {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [] }, trx);
+			}).then(function(home) {
+				return transaction(function(trx) {
+					return persist.updateVisibility(home.historyId, { level: 'private', userIds: ['alice'] }, trx);
+				}).then(function() {
+					return transaction(function(trx) {
+						return persist.addDocument({ authorId: 'alice', title: 'Index', content: 'go to [[Home]]', tags: [] }, trx);
+					});
+				}).then(function(index) {
+					assert.ok(index.parsedContent.includes('wiki-link-missing'), index.parsedContent);
+
+					return transaction(function(trx) {
+						return persist.updateVisibility(home.historyId, { level: 'public' }, trx);
+					});
+				}).then(function() {
+					return persist.rerenderLinkSources('document', home.historyId, null);
+				});
+			}).then(function() {
+				return persist.getDocumentByTitle('Index', null);
+			}).then(function(document) {
+				assert.ok(document.parsedContent.includes('<a class="wiki-link" href="/document/1">Home</a>'), document.parsedContent);
+			});
+		});
+	});
+
+	describe('searchByRank', function() {
+		function addDocuments(documents) {
+			return Promise.all(documents).then(function() {
+				return documents.reduce(function(promise, [title, content]) {
+					return promise.then(function() {
+						return transaction(function(trx) {
+							return persist.addDocument({ authorId: 'alice', title: title, content: content, tags: [] }, trx);
+						});
+					});
+				}, Promise.resolve());
+			});
+		}
+
+		function searchAll(text, limit) {
+			const titles = [];
+
+			function searchFrom(cursor) {
+				return persist.searchByRank('document', persist.Document, text, { cursor: cursor, limit: limit }, [], null).then(function([documents, next]) {
+					titles.push(documents.map((document) => document.title));
+					return (next ? searchFrom(next) : titles);
+				});
+			}
+
+			return searchFrom(null);
+		}
+
+		it('ranks the title matches and the frequent terms first', function() {
+			return addDocuments([
+				['apple pie', 'apple apple banana'],
+				['banana bread', 'apple'],
+				['cherry', 'banana banana banana'],
+				['durian', 'nothing']
+			]).then(function() {
+				return searchAll('apple banana', 2);
+			}).then(function(titles) {
+				assert.deepStrictEqual(titles, [['apple pie', 'banana bread'], ['cherry']]);
+			});
+		});
+
+		it('pages through the ties by the id', function() {
+			return addDocuments([
+				['one', 'word'],
+				['two', 'word'],
+				['three', 'word']
+			]).then(function() {
+				return searchAll('word', 1);
+			}).then(function(titles) {
+				assert.deepStrictEqual(titles, [['three'], ['two'], ['one']]);
+			});
+		});
+	});
+
+	describe('searchDocumentByQuery', function() {
+		beforeEach(function() {
+			const documents = [
+				['alice', 'Apple', 'red fruit', 'fruit'],
+				['bobby', 'Banana', 'yellow fruit', 'fruit'],
+				['alice', 'Carrot', 'orange vegetable', 'vegetable']
+			];
+
+			return transaction(function(trx) {
+				return persist.addUser({ id: 'bobby', name: 'Bobby', password: 'password' }, trx);
+			}).then(function() {
+				return documents.reduce(function(promise, [authorId, title, content, tag]) {
+					return promise.then(function() {
+						return transaction(function(trx) {
+							return persist.addDocument({ authorId: authorId, title: title, content: content, tags: [{ title: tag, color: '#ff0000' }] }, trx);
+						});
+					});
+				}, Promise.resolve());
+			});
+		});
+
+		function search(query) {
+			return persist.searchDocumentByQuery(query, { cursor: null, limit: 20 }, [], null).then(function([documents]) {
+				return documents.map((document) => document.title).sort();
+			});
+		}
+
+		const cases = [
+			['tag:fruit', ['Apple', 'Banana']],
+			['author:alice', ['Apple', 'Carrot']],
+			['tag:fruit -author:alice', ['Banana']],
+			['yellow OR vegetable', ['Banana', 'Carrot']],
+			['(yellow OR vegetable) author:alice', ['Carrot']],
+			['"red fruit"', ['Apple']],
+			['"fruit red"', []],
+			['updated:>2000-01-01', ['Apple', 'Banana', 'Carrot']],
+			['updated:<2000-01-01', []]
+		];
+
+		cases.forEach(function([query, expected]) {
+			it(`finds ${JSON.stringify(query)}`, function() {
+				return search(query).then(function(titles) {
+					assert.deepStrictEqual(titles, expected);
+				});
+			});
+		});
+
+		it('finds the wildcards and the escape characters as they are', function() {
+			const documents = [
+				['Percent', '100% done'],
+				['Number', '1000 done'],
+				['Snake', 'snake_case'],
+				['Space', 'snake case'],
+				['Path', 'C:\\temp'],
+				['Bang', 'wow!'],
+				['Plain', 'wow']
+			];
+
+			return documents.reduce(function(promise, [title, content]) {
+				return promise.then(function() {
+					return transaction(function(trx) {
+						return persist.addDocument({ authorId: 'alice', title: title, content: content, tags: [] }, trx);
+					});
+				});
+			}, Promise.resolve()).then(function() {
+				return Promise.all(['100%', 'snake_case', '"C:\\temp"', 'wow!'].map(search));
+			}).then(function(titles) {
+				assert.deepStrictEqual(titles, [['Percent'], ['Snake'], ['Path'], ['Bang']]);
+			});
+		});
+	});
+
+	describe('updateSlug', function() {
+		function addDocument(title) {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: title, content: 'hello', tags: [] }, trx);
+			});
+		}
+
+		function updateSlug(historyId, slug) {
+			return transaction(function(trx) {
+				return persist.updateSlug(historyId, slug, trx);
+			});
+		}
+
+		it('refuses a slug of another document', function() {
+			return addDocument('home').then(function(home) {
+				return addDocument('about').then(function(about) {
+					return updateSlug(about.historyId, 'home');
+				}).then(function() {
+					assert.fail('slug taken');
+				}, function(error) {
+					assert.strictEqual(error.status, 409);
+					assert.strictEqual(error.message, messages.slug_conflict);
+					return persist.Slug.findById('home');
+				}).then(function(slug) {
+					assert.strictEqual(slug.historyId, home.historyId);
+				});
+			});
+		});
+
+		it('numbers a slug with a wildcard taken already', function() {
+			return addDocument('snake_case').then(function() {
+				return addDocument('snake_case');
+			}).then(function() {
+				return persist.Slug.findAll({ order: [['slug', 'ASC']] });
+			}).then(function(slugs) {
+				assert.deepStrictEqual(slugs.map((slug) => slug.slug), ['snake_case', 'snake_case-2']);
+			});
+		});
+
+		it('takes back an old slug of the same document', function() {
+			return addDocument('home').then(function(home) {
+				return updateSlug(home.historyId, 'start').then(function() {
+					return updateSlug(home.historyId, 'home');
+				}).then(function(slug) {
+					assert.strictEqual(slug.isPrimary, true);
+					return persist.Slug.findById('start');
+				}).then(function(slug) {
+					assert.strictEqual(slug.isPrimary, false);
+				});
+			});
+		});
+	});
+
+	describe('revertDocument', function() {
+		it('makes a new revision when only the tags differ', function() {
+			let first;
+
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }, { title: 'b', color: '#00ff00' }] }, trx);
+			}).then(function(document) {
+				first = document;
+
+				return transaction(function(trx) {
+					return persist.updateDocument(document.id, { authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }] }, trx);
+				});
+			}).then(function(document) {
+				assert.strictEqual(document.revision, 2);
+
+				return transaction(function(trx) {
+					return persist.revertDocument(document.id, first.id, { authorId: 'alice', reason: 'undo' }, trx);
+				});
+			}).then(function(document) {
+				assert.strictEqual(document.revision, 3);
+				assert.strictEqual(document.revertedFromId, first.id);
+
+				return document.getTags();
+			}).then(function(tags) {
+				assert.deepStrictEqual(tags.map((tag) => tag.title).sort(), ['a', 'b']);
+				return getTagCounts();
+			}).then(function(counts) {
+				assert.deepStrictEqual(counts, ['a:1', 'b:1']);
+			});
+		});
+	});
+
+	describe('updateDocument', function() {
+		it('keeps the revision when the tags are the same', function() {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }] }, trx);
+			}).then(function(document) {
+				return transaction(function(trx) {
+					return persist.updateDocument(document.id, { authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }] }, trx);
+				});
+			}).then(function(document) {
+				assert.strictEqual(document.revision, 1);
+				return getTagCounts();
+			}).then(function(counts) {
+				assert.deepStrictEqual(counts, ['a:1']);
+			});
+		});
+
+		it('makes a new revision when a tag is added', function() {
+			return transaction(function(trx) {
+				return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }] }, trx);
+			}).then(function(document) {
+				return transaction(function(trx) {
+					return persist.updateDocument(document.id, { authorId: 'alice', title: 'Home', content: 'hello', tags: [{ title: 'a', color: '#ff0000' }, { title: 'b', color: '#00ff00' }] }, trx);
+				});
+			}).then(function(document) {
+				assert.strictEqual(document.revision, 2);
+				return getTagCounts();
+			}).then(function(counts) {
+				assert.deepStrictEqual(counts, ['a:1', 'b:1']);
+			});
+		});
+
+		it('answers a revision saved at the same time, and passes the other unique errors', function() {
+			function updateWithError(fields) {
+				persist.increaseOrAddTag = function() {
+					return Promise.reject(new Sequelize.UniqueConstraintError({ fields: fields }));
+				};
+
+				return transaction(function(trx) {
+					return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'hello', tags: [] }, trx);
+				}).then(function(document) {
+					return transaction(function(trx) {
+						return persist.updateDocument(document.id, { authorId: 'alice', title: 'Home', content: 'hi', tags: [{ title: 'a', color: '#ff0000' }] }, trx);
+					});
+				}).then(function() {
+					assert.fail('updated');
+				}, function(error) {
+					return error;
+				});
+			}
+
+			return updateWithError(['historyId', 'revision']).then(function(error) {
+				assert.strictEqual(error.status, 409);
+				assert.strictEqual(error.message, messages.document_already_updated);
+				return updateWithError({ documents_history_id_revision: 'history-2' });
+			}).then(function(error) {
+				assert.strictEqual(error.status, 409);
+				return updateWithError(['title']);
+			}).then(function(error) {
+				assert.ok(error instanceof Sequelize.UniqueConstraintError, error.message);
+			});
+		});
+
+		describe('with an older revision', function() {
+			let base;
+
+			function updateBase(content, merge) {
+				return transaction(function(trx) {
+					return persist.updateDocument(base.id, { authorId: 'alice', title: 'Home', content: content, tags: [], merge: merge }, trx);
+				});
+			}
+
+			function shouldConflict(content, merge, messageId) {
+				return updateBase(content, merge).then(function() {
+					assert.fail('updated');
+				}, function(error) {
+					assert.strictEqual(error.status, 409);
+					assert.strictEqual(error.message, messages[messageId]);
+					return error;
+				});
+			}
+
+			beforeEach(function() {
+				return transaction(function(trx) {
+					return persist.addDocument({ authorId: 'alice', title: 'Home', content: 'a\nb\nc\nd\n', tags: [] }, trx);
+				}).then(function(document) {
+					base = document;
+					return updateBase('a\nB\nc\nd\n', false);
+				});
+			});
+
+			it('fails without merge', function() {
+				return shouldConflict('a\nb\nc\nD\n', false, 'document_already_updated');
+			});
+
+			it('saves the merged content as a new revision', function() {
+				return updateBase('a\nb\nc\nD\n', true).then(function(document) {
+					assert.strictEqual(document.revision, 3);
+					assert.strictEqual(document.content, 'a\nB\nc\nD\n');
+				});
+			});
+
+			it('fails with the conflicting blocks when the same or adjacent lines are changed', function() {
+				return shouldConflict('a\nX\nc\nd\n', true, 'document_merge_failed').then(function(error) {
+					assert.deepStrictEqual(error.details.blocks[1], { conflict: true, base: 'b\n', mine: 'X\n', theirs: 'B\n' });
+					return shouldConflict('a\nb\nC\nd\n', true, 'document_merge_failed');
+				});
+			});
+		});
+	});
+
+	describe('migrate', function() {
+		it('adds the missing columns, tables and indexes, and numbers the same revisions again', function() {
+			const queryInterface = persist.client.getQueryInterface();
+			const historyId = '00000000-0000-0000-0000-000000000001';
+
+			return queryInterface.removeColumn('Users', 'role').then(function() {
+				return queryInterface.removeIndex('Documents', 'documents_history_id_revision');
+			}).then(function() {
+				return queryInterface.dropTable('Slugs');
+			}).then(function() {
+				return persist.Document.bulkCreate([1, 2].map(function() {
+					return { historyId: historyId, revision: 1, title: 'Home', content: 'hello', parsedContent: '<p>hello</p>' };
+				}));
+			}).then(function() {
+				return persist.migrate();
+			}).then(function(result) {
+				assert.deepStrictEqual(result, { columns: 1, revisions: 2 });
+
+				return Promise.all([
+					queryInterface.describeTable('Users'),
+					queryInterface.showAllTables(),
+					queryInterface.showIndex('Documents'),
+					persist.Document.findAll({ order: [['id', 'ASC']] })
+				]);
+			}).then(function([columns, tableNames, indexes, documents]) {
+				assert.ok(columns.role);
+				assert.ok(tableNames.indexOf('Slugs') >= 0);
+				assert.ok(indexes.some((index) => index.name === 'documents_history_id_revision' && index.unique));
+				assert.deepStrictEqual(documents.map((document) => document.revision), [1, 2]);
+			});
+		});
+	});
+});
\ No newline at end of file
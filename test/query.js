@@ -0,0 +1,70 @@
+const assert = require('assert');
+
+const Query = require('../util/query');
+
+describe('Query', function() {
+	describe('parse', function() {
+		function text(value) {
+			return { type: 'text', value: value };
+		}
+
+		it('joins the terms with AND, and AND binds tighter than OR', function() {
+			assert.deepStrictEqual(Query.parse('a OR b c'), {
+				type: 'or',
+				children: [text('a'), { type: 'and', children: [text('b'), text('c')] }]
+			});
+		});
+
+		it('reads the fields, the negations, the groups and the quoted phrases', function() {
+			assert.deepStrictEqual(Query.parse('tag:"two words" author:alice -tag:a (x OR "hello world")'), {
+				type: 'and',
+				children: [
+					{ type: 'tag', value: 'two words' },
+					{ type: 'author', value: 'alice' },
+					{ type: 'not', child: { type: 'tag', value: 'a' } },
+					{ type: 'or', children: [text('x'), text('hello world')] }
+				]
+			});
+		});
+
+		it('compares the dates by days', function() {
+			assert.deepStrictEqual(Query.parse('updated:>2017-01-01'), {
+				type: 'updated',
+				from: new Date('2017-01-02'),
+				to: null
+			});
+
+			assert.deepStrictEqual(Query.parse('created:2017-01-01..2017-01-31'), {
+				type: 'created',
+				from: new Date('2017-01-01'),
+				to: new Date('2017-02-01')
+			});
+
+			assert.deepStrictEqual(Query.parse('updated:<=2017-01-01'), {
+				type: 'updated',
+				from: null,
+				to: new Date('2017-01-02')
+			});
+		});
+
+		it('tells where a broken query fails', function() {
+			const cases = [
+				['foo:bar', 0, 'foo:bar'],
+				['"open', 0, '"open'],
+				['a OR', 4, ''],
+				['-', 0, '-'],
+				['(a', 0, '('],
+				['a )', 2, ')'],
+				['updated:2017-13-01', 0, 'updated:2017-13-01']
+			];
+
+			cases.forEach(function([query, position, token]) {
+				assert.throws(function() {
+					Query.parse(query);
+				}, function(error) {
+					return (error.status === 400 && error.details.position === position && error.details.token === token);
+				}, query);
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+const {HttpError} = require('../server/error');
+
+function toUrlSafe(base64) {
+	return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromUrlSafe(text) {
+	return text.replace(/-/g, '+').replace(/_/g, '/');
+}
+
+// The scope is signed along with the payload, so a cursor can't be reused for another kind of list
+function sign(scope, payload, secret) {
+	const hmac = crypto.createHmac('sha256', secret);
+	hmac.update(`${scope}.${payload}`);
+	return toUrlSafe(hmac.digest('base64'));
+}
+
+function encode(scope, values, secret) {
+	if (!values) {
+		return null;
+	}
+
+	const payload = toUrlSafe(Buffer.from(JSON.stringify(values)).toString('base64'));
+	return `${payload}.${sign(scope, payload, secret)}`;
+}
+
+function decode(scope, cursor, secret) {
+	if (!cursor) {
+		return null;
+	}
+
+	const [payload, signature] = String(cursor).split('.');
+	const expected = sign(scope, payload, secret);
+
+	if (!signature || signature.length !== expected.length ||
+		!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+		throw new HttpError('cursor_invalid', 400);
+	}
+
+	let values;
+
+	try {
+		values = JSON.parse(Buffer.from(fromUrlSafe(payload), 'base64').toString());
+	} catch (error) {
+		throw new HttpError('cursor_invalid', 400);
+	}
+
+	if (!Array.isArray(values)) {
+		throw new HttpError('cursor_invalid', 400);
+	}
+
+	return values;
+}
+
+exports.encode = encode;
+exports.decode = decode;
\ No newline at end of file
@@ -1,3 +1,4 @@
+const _ = require('lodash');
 const JsDiff = require('diff');
 
 function diffBlocks(a, b) {
@@ -15,4 +16,195 @@ function diffBlocks(a, b) {
 	}, []);
 }
 
-exports.diffBlocks = diffBlocks;
\ No newline at end of file
+function splitLines(text) {
+	return (text.match(/[^\n]*\n|[^\n]+$/g) || []);
+}
+
+function diffHunks(base, changed, side) {
+	const hunks = [];
+	let position = 0;
+
+	JsDiff.diffLines(base, changed).forEach(function(item) {
+		const lastHunk = _.last(hunks);
+		const isAdjacent = (lastHunk && lastHunk.end === position);
+
+		if (item.removed) {
+			if (isAdjacent) {
+				lastHunk.end += item.count;
+			} else {
+				hunks.push({ side: side, start: position, end: position + item.count, lines: [] });
+			}
+
+			position += item.count;
+		} else if (item.added) {
+			if (isAdjacent) {
+				lastHunk.lines = lastHunk.lines.concat(splitLines(item.value));
+			} else {
+				hunks.push({ side: side, start: position, end: position, lines: splitLines(item.value) });
+			}
+		} else {
+			position += item.count;
+		}
+	});
+
+	return hunks;
+}
+
+function applyHunks(baseLines, start, end, hunks) {
+	let result = [];
+	let position = start;
+
+	hunks.forEach(function(hunk) {
+		result = result.concat(baseLines.slice(position, hunk.start), hunk.lines);
+		position = hunk.end;
+	});
+
+	return result.concat(baseLines.slice(position, end)).join('');
+}
+
+function merge3(base, mine, theirs) {
+	const baseLines = splitLines(base);
+
+	const hunks = _.sortBy(
+		diffHunks(base, mine, 'mine').concat(diffHunks(base, theirs, 'theirs')),
+		['start', 'end']
+	);
+
+	const groups = hunks.reduce(function(result, hunk) {
+		const lastGroup = _.last(result);
+
+		if (lastGroup && hunk.start <= lastGroup.end) {
+			lastGroup.end = Math.max(lastGroup.end, hunk.end);
+			lastGroup.hunks.push(hunk);
+		} else {
+			result.push({ start: hunk.start, end: hunk.end, hunks: [hunk] });
+		}
+
+		return result;
+	}, []);
+
+	const blocks = [];
+	let position = 0;
+
+	function pushBlock(block) {
+		const lastBlock = _.last(blocks);
+
+		if (block.value === '') {
+			return;
+		} else if (!block.conflict && lastBlock && !lastBlock.conflict) {
+			lastBlock.value += block.value;
+		} else {
+			blocks.push(block);
+		}
+	}
+
+	groups.forEach(function(group) {
+		pushBlock({ value: baseLines.slice(position, group.start).join('') });
+
+		const mineHunks = group.hunks.filter((hunk) => (hunk.side === 'mine'));
+		const theirHunks = group.hunks.filter((hunk) => (hunk.side === 'theirs'));
+
+		const mineValue = applyHunks(baseLines, group.start, group.end, mineHunks);
+		const theirValue = applyHunks(baseLines, group.start, group.end, theirHunks);
+
+		if (theirHunks.length === 0 || mineValue === theirValue) {
+			pushBlock({ value: mineValue });
+		} else if (mineHunks.length === 0) {
+			pushBlock({ value: theirValue });
+		} else {
+			blocks.push({
+				conflict: true,
+				base: baseLines.slice(group.start, group.end).join(''),
+				mine: mineValue,
+				theirs: theirValue
+			});
+		}
+
+		position = group.end;
+	});
+
+	pushBlock({ value: baseLines.slice(position).join('') });
+
+	const isClean = !blocks.some((block) => block.conflict);
+
+	return {
+		isClean: isClean,
+		content: (isClean ? blocks.map((block) => block.value).join('') : null),
+		blocks: blocks
+	};
+}
+
+// Replaces each removal followed by an addition with the finer changes between them
+function refineChanges(items, diff) {
+	return items.reduce(function(result, item) {
+		const lastItem = _.last(result);
+
+		if (item.added && lastItem && lastItem.removed) {
+			result.pop();
+			return result.concat(diff(lastItem.value, item.value));
+		}
+
+		result.push(item);
+		return result;
+	}, []);
+}
+
+// A changed word is compared by characters when most of them are left, like a fixed typo,
+// so that the characters matching by chance in a different word are not taken as kept
+function diffWordChars(baseWord, changedWord) {
+	const items = JsDiff.diffChars(baseWord, changedWord);
+	const keptLength = _.sumBy(items, (item) => ((item.added || item.removed) ? 0 : item.value.length));
+
+	if (keptLength * 2 < Math.max(baseWord.length, changedWord.length)) {
+		return [{ value: baseWord, removed: true }, { value: changedWord, added: true }];
+	}
+
+	return items;
+}
+
+// Words are compared only in the changed lines, and characters only in the changed words,
+// so a long document doesn't have to be diffed by characters
+function diffChanges(base, changed) {
+	return refineChanges(JsDiff.diffLines(base, changed), function(baseLines, changedLines) {
+		return refineChanges(JsDiff.diffWordsWithSpace(baseLines, changedLines), diffWordChars);
+	});
+}
+
+// Maps a range in the base to the changed text, covering the characters still left. Returns null if none of them are left.
+function mapRange(base, changed, range) {
+	let basePosition = 0;
+	let changedPosition = 0;
+	let result = null;
+
+	diffChanges(base, changed).forEach(function(item) {
+		const length = item.value.length;
+
+		if (item.added) {
+			changedPosition += length;
+			return;
+		}
+
+		if (!item.removed) {
+			const start = Math.max(range.start, basePosition);
+			const end = Math.min(range.end, basePosition + length);
+			const isEmptyRange = (range.start === range.end && start === end && result === null);
+
+			if (start < end || (isEmptyRange && basePosition <= start && end <= basePosition + length)) {
+				result = {
+					start: (result ? result.start : changedPosition + start - basePosition),
+					end: changedPosition + end - basePosition
+				};
+			}
+
+			changedPosition += length;
+		}
+
+		basePosition += length;
+	});
+
+	return result;
+}
+
+exports.diffBlocks = diffBlocks;
+exports.mapRange = mapRange;
+exports.merge3 = merge3;
\ No newline at end of file
@@ -0,0 +1,248 @@
+const _ = require('lodash');
+
+const messages = require('../static/messages.json');
+
+const defaultOptions = {
+	tags: [
+		'p', 'br', 'hr', 'div', 'span',
+		'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+		'blockquote', 'pre', 'code',
+		'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+		'table', 'thead', 'tbody', 'tr', 'th', 'td',
+		'b', 'strong', 'i', 'em', 'u', 'del', 's', 'strike', 'sub', 'sup', 'mark',
+		'a', 'img'
+	],
+	attributes: {
+		'*': ['class', 'id', 'title'],
+		'a': ['href', 'download'],
+		'img': ['src', 'alt', 'width', 'height'],
+		'th': ['colspan', 'rowspan'],
+		'td': ['colspan', 'rowspan']
+	},
+	protocols: ['http', 'https', 'ftp', 'mailto']
+};
+
+// The contents of these tags are dropped along with them, instead of being kept as a text
+const droppedTags = [
+	'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+	'noscript', 'noembed', 'noframes', 'template', 'textarea', 'title', 'xmp', 'svg', 'math'
+];
+
+const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const urlAttributes = ['href', 'src', 'action', 'formaction', 'background', 'cite', 'poster', 'xlink:href'];
+
+const tagRegExp = /<(\/?)([a-z][a-z0-9-]*)/iy;
+const attributeRegExp = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+const namedEntities = {
+	amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'',
+	colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')', nbsp: ' '
+};
+
+function createOptions(options) {
+	return _.defaults({}, options, defaultOptions);
+}
+
+// Only a bare `<`, `>`, `"` or `&` is escaped, so the entities already in the text are kept
+function escape(text) {
+	return text
+		.replace(/&(?!#?[a-z0-9]+;)/gi, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+	return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, function(match, hex, decimal, name) {
+		if (name) {
+			return (namedEntities[name.toLowerCase()] || match);
+		}
+
+		const code = parseInt(hex || decimal, (hex ? 16 : 10));
+		return (code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '');
+	});
+}
+
+// Browsers ignore whitespaces and control characters in a URL, so `java\tscript:` is still a scheme
+function isSafeUrl(value, protocols) {
+	const url = decodeEntities(value).replace(/[\x00-\x20\x7f-\x9f]+/g, '');
+	const match = url.match(/^([^\/?#]*?):/);
+
+	return (!match || protocols.indexOf(match[1].toLowerCase()) >= 0);
+}
+
+function isAllowedAttribute(tag, name, value, options) {
+	const allowed = (options.attributes[tag] || []).concat(options.attributes['*'] || []);
+
+	if (name.startsWith('on') || allowed.indexOf(name) < 0) {
+		return false;
+	}
+
+	return (urlAttributes.indexOf(name) < 0 || isSafeUrl(value, options.protocols));
+}
+
+function readAttributes(html, position) {
+	const attributes = [];
+
+	while (position < html.length) {
+		const char = html.charAt(position);
+
+		if (char === '>') {
+			return { attributes: attributes, end: position + 1 };
+		}
+
+		if (/[\s\/]/.test(char)) {
+			position++;
+			continue;
+		}
+
+		attributeRegExp.lastIndex = position;
+		const match = attributeRegExp.exec(html);
+
+		if (!match) {
+			position++;
+			continue;
+		}
+
+		attributes.push({
+			name: match[1].toLowerCase(),
+			value: _.find([match[2], match[3], match[4]], _.isString) || ''
+		});
+
+		position = attributeRegExp.lastIndex;
+	}
+
+	// A tag left open at the end is dropped, like browsers do
+	return { attributes: attributes, end: html.length };
+}
+
+function skipDroppedTag(html, tag, position) {
+	const closeRegExp = new RegExp(`</${tag}[\\s/>]`, 'ig');
+	closeRegExp.lastIndex = position;
+
+	const match = closeRegExp.exec(html);
+
+	if (!match) {
+		return html.length;
+	}
+
+	const end = html.indexOf('>', match.index);
+	return (end < 0 ? html.length : end + 1);
+}
+
+function warnRemoved(warnings, tag, attribute) {
+	if (warnings) {
+		warnings.push(_.omitBy({
+			type: 'html_removed',
+			message: messages.html_removed,
+			tag: tag,
+			attribute: attribute
+		}, _.isUndefined));
+	}
+}
+
+function renderStartTag(tag, attributes, options, warnings) {
+	const names = [];
+
+	const attributeText = attributes.filter(function(attribute) {
+		if (names.indexOf(attribute.name) >= 0) {
+			return false;
+		}
+
+		names.push(attribute.name);
+
+		if (!isAllowedAttribute(tag, attribute.name, attribute.value, options)) {
+			warnRemoved(warnings, tag, attribute.name);
+			return false;
+		}
+
+		return true;
+	}).map(function(attribute) {
+		return ` ${attribute.name}="${escape(attribute.value)}"`;
+	}).join('');
+
+	return `<${tag}${attributeText}>`;
+}
+
+// Keeps only the allowed tags and attributes, and closes the tags left open so the HTML can't leak into the page.
+// The removed ones are pushed to `warnings` when it is given.
+function sanitize(html, options, warnings) {
+	options = createOptions(options);
+	html = String(html || '');
+
+	const openTags = [];
+	let result = '';
+	let position = 0;
+
+	while (position < html.length) {
+		const start = html.indexOf('<', position);
+
+		if (start < 0) {
+			result += escape(html.substr(position));
+			break;
+		}
+
+		result += escape(html.substring(position, start));
+
+		if (html.startsWith('<!--', start)) {
+			const end = html.indexOf('-->', start + 4);
+			position = (end < 0 ? html.length : end + 3);
+			continue;
+		}
+
+		if (/^<[!?\/]/.test(html.substr(start, 2)) && !/^<\/[a-z]/i.test(html.substr(start, 3))) {
+			const end = html.indexOf('>', start);
+			position = (end < 0 ? html.length : end + 1);
+			continue;
+		}
+
+		tagRegExp.lastIndex = start;
+		const match = tagRegExp.exec(html);
+
+		if (!match) {
+			result += '&lt;';
+			position = start + 1;
+			continue;
+		}
+
+		const isClosing = (match[1] === '/');
+		const tag = match[2].toLowerCase();
+		const {attributes, end} = readAttributes(html, tagRegExp.lastIndex);
+
+		position = end;
+
+		if (!isClosing && droppedTags.indexOf(tag) >= 0) {
+			warnRemoved(warnings, tag);
+			position = (voidTags.indexOf(tag) < 0 ? skipDroppedTag(html, tag, end) : end);
+			continue;
+		}
+
+		if (options.tags.indexOf(tag) < 0) {
+			if (!isClosing) {
+				warnRemoved(warnings, tag);
+			}
+
+			continue;
+		}
+
+		if (isClosing) {
+			const index = openTags.lastIndexOf(tag);
+
+			if (index >= 0) {
+				result += openTags.splice(index).reverse().map((openTag) => `</${openTag}>`).join('');
+			}
+		} else {
+			result += renderStartTag(tag, attributes, options, warnings);
+
+			if (voidTags.indexOf(tag) < 0) {
+				openTags.push(tag);
+			}
+		}
+	}
+
+	return result + openTags.reverse().map((openTag) => `</${openTag}>`).join('');
+}
+
+exports.defaultOptions = defaultOptions;
+exports.sanitize = sanitize;
\ No newline at end of file
@@ -1,9 +1,11 @@
+const _ = require('lodash');
 const Promise = require('bluebird');
 
 const Parser = require('koto-parser');
 const InlineParser = require('koto-parser/lib/core/inline');
 
 const {BaseBlock} = require('koto-parser/lib/blocks/base');
+const {HeadingBlock: BaseHeadingBlock} = require('koto-parser/lib/blocks/heading');
 
 const {CodeToken} = require('koto-parser/lib/tokens/code');
 const {BoldToken} = require('koto-parser/lib/tokens/bold');
@@ -13,21 +15,174 @@ const {StrikeToken} = require('koto-parser/lib/tokens/strike');
 const {LinkToken} = require('koto-parser/lib/tokens/link');
 const {BaseToken} = require('koto-parser/lib/tokens/base');
 
+const defaultBlockTypes = require('koto-parser/lib/blocks');
 const defaultTokenTypes = require('koto-parser/lib/tokens');
 
-function render(content, model, callback) {
-	Parser.render(content, {
-		tokenTypes: defaultTokenTypes.concat([FileToken]),
-		model: model
-	}, callback);
+const messages = require('../static/messages.json');
+
+// Matches the links to the pages of this wiki, like `/document/12` or `file/3`, but not the ones with a scheme
+const internalHrefRegExp = /^(?![a-z][a-z0-9+.-]*:)(?:[^?#]*\/)?(document|file)\/(\d+)\/?(?:[?#].*)?$/i;
+
+// The same as the user ids, and not right after a word, so an email address isn't a mention
+const mentionRegExp = /^@([a-zA-Z0-9_]{4,20})(?![a-zA-Z0-9_])/;
+
+// Increase when the rendered HTML changes, so that the stored contents are rendered again
+const version = 7;
+
+const sizeUnits = ['B', 'KB', 'MB', 'GB'];
+
+function formatSize(size) {
+	let unit = 0;
+
+	while (size >= 1024 && unit < sizeUnits.length - 1) {
+		size /= 1024;
+		unit++;
+	}
+
+	return `${(unit > 0 ? size.toFixed(1) : size)} ${sizeUnits[unit]}`;
+}
+
+function createOptions(model, viewer, warnings) {
+	return {
+		blockTypes: defaultBlockTypes.map(function(blockType) {
+			return (blockType === BaseHeadingBlock ? HeadingBlock : blockType);
+		}),
+		tokenTypes: [WikiLinkToken].concat(defaultTokenTypes, [FileToken, MentionToken]),
+		model: model,
+		viewer: viewer,
+		anchors: {},
+		warnings: warnings
+	};
 }
 
-function renderInline(content, model, callback) {
-	Parser.render(content, {
+function createInlineOptions(model, viewer, warnings) {
+	return {
 		blockTypes: [CommentBlock],
-		tokenTypes: [CodeToken, BoldToken, ItalicToken, UnderlineToken, StrikeToken, LinkToken],
-		model: model
-	}, callback);
+		tokenTypes: [CodeToken, BoldToken, ItalicToken, UnderlineToken, StrikeToken, LinkToken, MentionToken],
+		model: model,
+		viewer: viewer,
+		warnings: warnings
+	};
+}
+
+// The problems found while rendering are pushed to `warnings` when it is given, like the links to missing pages
+function warn(options, type, details) {
+	if (options.warnings) {
+		options.warnings.push(Object.assign({ type: type, message: messages[type] }, details));
+	}
+}
+
+// The embeds and the links are resolved as `viewer` sees them, so a hidden page is rendered the same as a missing one
+function render(content, model, viewer, warnings, callback) {
+	Parser.render(content, createOptions(model, viewer, warnings), callback);
+}
+
+function renderInline(content, model, viewer, warnings, callback) {
+	Parser.render(content, createInlineOptions(model, viewer, warnings), callback);
+}
+
+function findTokens(nodes) {
+	return _.flatMap(nodes, function(node) {
+		const children = _.flatMap(_.values(node), function(value) {
+			return (_.isArray(value) ? value : [value]);
+		}).filter(function(value) {
+			return (value instanceof BaseToken || value instanceof BaseBlock);
+		});
+
+		return [node].concat(findTokens(children));
+	});
+}
+
+function collectLinks(blocks) {
+	const links = findTokens(blocks).map(function(token) {
+		if (token instanceof FileToken) {
+			return { type: 'file', id: parseInt(token.id, 10) };
+		}
+
+		if (token instanceof WikiLinkToken) {
+			return { type: 'document', title: token.title };
+		}
+
+		if (token instanceof LinkToken) {
+			const match = token.href.trim().match(internalHrefRegExp);
+
+			if (match) {
+				return { type: match[1].toLowerCase(), id: parseInt(match[2], 10) };
+			}
+		}
+
+		return null;
+	}).filter(function(link) {
+		return (link && (link.title || !isNaN(link.id)));
+	});
+
+	return _.uniqWith(links, _.isEqual);
+}
+
+function extractLinks(content) {
+	return collectLinks(Parser.parse(content || '', createOptions(null)));
+}
+
+// The anchors are given while parsing, so the outline has the same ones as the rendered headings
+function extractOutline(content) {
+	return findTokens(Parser.parse(content || '', createOptions(null))).filter(function(node) {
+		return (node instanceof HeadingBlock);
+	}).map(function(heading) {
+		return {
+			level: heading.level,
+			text: heading.text,
+			anchor: heading.anchor
+		};
+	});
+}
+
+function getText(tokens) {
+	return tokens.map(function(token) {
+		if (token instanceof WikiLinkToken) {
+			return token.label;
+		} else if (token instanceof FileToken) {
+			return token.description;
+		} else if (token instanceof MentionToken) {
+			return `@${token.userId}`;
+		} else if (_.isString(token.content)) {
+			return token.content;
+		}
+
+		return getText(_.flatten(_.values(token).filter(_.isArray)));
+	}).join('');
+}
+
+function createAnchor(text, anchors) {
+	const baseAnchor = (text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s+/g, '-') || 'section');
+	let anchor = baseAnchor;
+
+	for (let i = 2; anchors[anchor]; i++) {
+		anchor = `${baseAnchor}-${i}`;
+	}
+
+	anchors[anchor] = true;
+	return anchor;
+}
+
+function extractInlineLinks(content) {
+	return collectLinks(Parser.parse(content || '', createInlineOptions(null)));
+}
+
+function collectMentions(blocks) {
+	return _.uniq(findTokens(blocks).filter(function(token) {
+		return (token instanceof MentionToken);
+	}).map(function(token) {
+		return token.userId;
+	}));
+}
+
+// The ids are not checked, as the users are looked up when they are notified
+function extractMentions(content) {
+	return collectMentions(Parser.parse(content || '', createOptions(null)));
+}
+
+function extractInlineMentions(content) {
+	return collectMentions(Parser.parse(content || '', createInlineOptions(null)));
 }
 
 class CommentBlock extends BaseBlock {
@@ -35,7 +190,7 @@ class CommentBlock extends BaseBlock {
 	constructor(contentTokens) {
 		super();
 
-		this.tokens = contentTokens;
+		this.contentTokens = contentTokens;
 	}
 
 	static match(scanner) {
@@ -56,6 +211,39 @@ class CommentBlock extends BaseBlock {
 	}
 }
 
+class HeadingBlock extends BaseHeadingBlock {
+
+	constructor(level, contentTokens, text, anchor) {
+		super(level, contentTokens);
+
+		this.text = text;
+		this.anchor = anchor;
+	}
+
+	static parse(scanner, match, options) {
+		scanner.skipLineSpaces();
+
+		scanner.mark();
+		scanner.skipToLineEnd();
+		const content = scanner.pop();
+
+		const contentTokens = InlineParser.parse(content, options);
+		const text = getText(contentTokens).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+		return new HeadingBlock(match, contentTokens, text, createAnchor(text, (options.anchors || {})));
+	}
+
+	render(options, callback) {
+		InlineParser.render(this.contentTokens, options, (error, content) => {
+			if (error) {
+				callback(error, null);
+			} else {
+				callback(null, `<h${this.level} id="${_.escape(this.anchor)}">${content}</h${this.level}>`);
+			}
+		});
+	}
+}
+
 class FileToken extends BaseToken {
 
 	constructor(id, description) {
@@ -119,15 +307,188 @@ class FileToken extends BaseToken {
 		return new FileToken(match.id, match.description);
 	}
 
+	// An embed follows the latest revision of the file, so updating the file doesn't break it
 	render(options, callback) {
-		options.model.getFile(this.id, null).then(function(file) {
-			callback(null, `<div>${file.title}</div>`);
+		const {model, viewer} = options;
+		const description = _.escape(this.description);
+		const id = parseInt(this.id, 10);
+
+		Promise.try(function() {
+			if (isNaN(id)) {
+				return null;
+			}
+
+			return model.getFile(id, null).then(function(file) {
+				return Promise.all([
+					model.getHeadFile(file.historyId, null),
+					model.canViewHistory(file.historyId, viewer, null)
+				]);
+			}).spread(function(file, visible) {
+				return (visible ? file : null);
+			}).catch(function(error) {
+				return (error.status === 404);
+			}, function() {
+				return null;
+			});
+		}).then((file) => {
+			if (!file) {
+				warn(options, 'file_not_exist', { id: this.id });
+				callback(null, `<span class="file-embed file-missing">${description}</span>`);
+				return;
+			}
+
+			const src = _.escape(`${model.url}/file/${file.id}/stream`);
+
+			if (file.mimeType && file.mimeType.startsWith('image/')) {
+				const size = (file.width && file.height ? ` width="${file.width}" height="${file.height}"` : '');
+				callback(null, `<img class="file-embed file-image" src="${src}" alt="${description}"${size}>`);
+				return;
+			}
+
+			const name = _.escape(file.originalName || file.filename);
+			const details = [
+				(_.isNumber(file.size) ? formatSize(file.size) : null),
+				(file.mimeType ? _.escape(file.mimeType) : null)
+			].filter(_.identity).join(', ');
+
+			callback(null, [
+				`<a class="file-embed file-card" href="${src}" download="${name}" title="${description}">`,
+				`<span class="file-name">${name}</span>`,
+				(details ? `<span class="file-details">${details}</span>` : ''),
+				'</a>'
+			].join(''));
+		}).catch(function(error) {
+			callback(error, null);
+		});
+	}
+}
+
+class WikiLinkToken extends BaseToken {
+
+	constructor(title, label) {
+		super();
+		this.title = title;
+		this.label = label;
+	}
+
+	static match(scanner) {
+		scanner.mark();						// [start]
+
+		if (!scanner.ahead('[[')) {
+			return null;
+		}
+
+		scanner.skip(+2);
+		scanner.mark();						// [start, titleStart]
+
+		if (!scanner.find(']]')) {
+			scanner.popAndBack();			// [start]
+			scanner.popAndBack();			// []
+			return null;
+		}
+
+		const text = scanner.pop();			// [start]
+		scanner.skip(+2);
+
+		const separator = text.indexOf('|');
+		const title = (separator < 0 ? text : text.substr(0, separator)).trim();
+		const label = (separator < 0 ? '' : text.substr(separator + 1)).trim();
+
+		if (!title || text.indexOf('\n') >= 0) {
+			scanner.popAndBack();			// []
+			return null;
+		}
+
+		return { title: title, label: (label || title) };
+	}
+
+	static parse(scanner, match, options) {
+		return new WikiLinkToken(match.title, match.label);
+	}
+
+	// Resolved when the content is rendered, so a missing page is rendered as a link creating it
+	render(options, callback) {
+		const {model, viewer} = options;
+		const label = _.escape(this.label);
+
+		model.getDocumentByTitle(this.title, null).then(function(document) {
+			if (!document) {
+				return null;
+			}
+
+			return model.canViewHistory(document.historyId, viewer, null).then(function(visible) {
+				return (visible ? document : null);
+			});
+		}).then((document) => {
+			if (document) {
+				callback(null, `<a class="wiki-link" href="${model.url}/document/${document.id}">${label}</a>`);
+			} else {
+				warn(options, 'document_not_exist', { title: this.title });
+
+				const href = `${model.url}/document?title=${encodeURIComponent(this.title)}`;
+				callback(null, `<a class="wiki-link wiki-link-missing" href="${_.escape(href)}">${label}</a>`);
+			}
+		}).catch(function(error) {
+			callback(error, null);
+		});
+	}
+}
+
+class MentionToken extends BaseToken {
+
+	constructor(userId) {
+		super();
+		this.userId = userId;
+	}
+
+	static match(scanner) {
+		if (!scanner.ahead('@') || (!scanner.isAtBegin && /[a-zA-Z0-9_]/.test(scanner.getCharAtOffset(-1)))) {
+			return null;
+		}
+
+		const match = scanner.buffer.substr(scanner.position).match(mentionRegExp);
+
+		if (!match) {
+			return null;
+		}
+
+		scanner.skip(match[0].length);
+		return { userId: match[1] };
+	}
+
+	static parse(scanner, match, options) {
+		return new MentionToken(match.userId);
+	}
+
+	// An unknown id is left as a text, as it may not be meant as a mention
+	render(options, callback) {
+		const {model} = options;
+		const text = _.escape(`@${this.userId}`);
+
+		model.getUser(this.userId, null).catch(function(error) {
+			return (error.status === 404);
+		}, function() {
+			return null;
+		}).then((user) => {
+			if (user) {
+				const href = _.escape(`${model.url}/user/${user.id}`);
+				callback(null, `<a class="mention" href="${href}" title="${_.escape(user.name)}">${text}</a>`);
+			} else {
+				warn(options, 'user_not_exist', { id: this.userId });
+				callback(null, text);
+			}
 		}).catch(function(error) {
-			callback(null, `<div>${error.message}</div>`);
+			callback(error, null);
 		});
 	}
 }
 
+exports.version = version;
+exports.extractLinks = extractLinks;
+exports.extractOutline = extractOutline;
+exports.extractInlineLinks = extractInlineLinks;
+exports.extractMentions = extractMentions;
+exports.extractInlineMentions = extractInlineMentions;
 exports.render = render;
 exports.renderPromise = Promise.promisify(render);
 exports.renderInline = renderInline;
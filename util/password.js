@@ -0,0 +1,90 @@
+const _ = require('lodash');
+const Promise = require('bluebird');
+const crypto = require('crypto');
+
+const pbkdf2 = Promise.promisify(crypto.pbkdf2);
+
+const defaultOptions = {
+	digest: 'sha512',
+	iterations: 100000,
+	keyLength: 64,
+	saltLength: 16
+};
+
+// Hashes stored before the KDF was introduced: an unsalted hex SHA-1 digest
+const legacyRegExp = /^[0-9a-f]{40}$/;
+
+function createOptions(options) {
+	return _.defaults({}, options, defaultOptions);
+}
+
+function parse(stored) {
+	const [scheme, digest, iterations, salt, key] = String(stored).split('$');
+
+	if (scheme !== 'pbkdf2' || !key) {
+		return null;
+	}
+
+	return {
+		digest: digest,
+		iterations: parseInt(iterations, 10),
+		salt: salt,
+		key: Buffer.from(key, 'base64')
+	};
+}
+
+function safeEqual(a, b) {
+	if (a.length !== b.length) {
+		return false;
+	}
+
+	return crypto.timingSafeEqual(a, b);
+}
+
+function hash(password, options) {
+	options = createOptions(options);
+
+	const salt = crypto.randomBytes(options.saltLength).toString('base64');
+
+	return pbkdf2(password, salt, options.iterations, options.keyLength, options.digest).then(function(key) {
+		return ['pbkdf2', options.digest, options.iterations, salt, key.toString('base64')].join('$');
+	});
+}
+
+function verify(password, stored) {
+	password = String(password || '');
+
+	if (legacyRegExp.test(stored)) {
+		const hasher = crypto.createHash('sha1');
+		hasher.update(password);
+
+		return Promise.resolve(safeEqual(hasher.digest(), Buffer.from(stored, 'hex')));
+	}
+
+	const parsed = parse(stored);
+
+	if (!parsed) {
+		return Promise.resolve(false);
+	}
+
+	return pbkdf2(password, parsed.salt, parsed.iterations, parsed.key.length, parsed.digest).then(function(key) {
+		return safeEqual(key, parsed.key);
+	});
+}
+
+function needsRehash(stored, options) {
+	options = createOptions(options);
+
+	const parsed = parse(stored);
+
+	return (
+		!parsed ||
+		parsed.digest !== options.digest ||
+		parsed.iterations < options.iterations ||
+		parsed.key.length !== options.keyLength
+	);
+}
+
+exports.hash = hash;
+exports.verify = verify;
+exports.needsRehash = needsRehash;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const roles = ['reader', 'editor', 'moderator', 'admin'];
+const visibilityLevels = ['public', 'member', 'private'];
+// `token` is left out, so a request authenticated with a token can't create or revoke tokens
+const scopes = ['document', 'file', 'tag', 'comment', 'user'];
+
+const requiredRoles = {
+	'document.write': 'editor',
+	'document.archive': 'moderator',
+	'document.visibility': 'moderator',
+	'document.watch': 'reader',
+	'file.write': 'editor',
+	'file.archive': 'moderator',
+	'file.visibility': 'moderator',
+	'file.watch': 'reader',
+	'tag.write': 'moderator',
+	'comment.write': 'reader',
+	'comment.moderate': 'moderator',
+	'token.write': 'reader',
+	'user.write': 'reader',
+	'user.watch': 'reader',
+	'user.notification': 'reader',
+	'user.role': 'admin'
+};
+
+function hasRole(user, role) {
+	if (!user) {
+		return false;
+	}
+
+	return (roles.indexOf(user.role) >= roles.indexOf(role));
+}
+
+function can(user, action) {
+	const role = requiredRoles[action];
+
+	if (!role) {
+		return false;
+	}
+
+	if (user && user.scopes && user.scopes.indexOf(action.split('.')[0]) < 0) {
+		return false;
+	}
+
+	return hasRole(user, role);
+}
+
+function canView(user, visibility) {
+	if (!visibility || visibility.level === 'public') {
+		return true;
+	}
+
+	if (!user) {
+		return false;
+	}
+
+	if (visibility.level === 'member' || hasRole(user, 'admin')) {
+		return true;
+	}
+
+	return (
+		visibility.userIds.indexOf(user.id) >= 0 ||
+		visibility.roles.some((role) => hasRole(user, role))
+	);
+}
+
+exports.roles = roles;
+exports.visibilityLevels = visibilityLevels;
+exports.scopes = scopes;
+exports.defaultRole = 'editor';
+exports.hasRole = hasRole;
+exports.can = can;
+exports.canView = canView;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const {HttpError} = require('../server/error');
+
+const fields = ['tag', 'author', 'updated', 'created'];
+const dateFields = ['updated', 'created'];
+
+const dateRegExp = /^\d{4}-\d{2}-\d{2}$/;
+const oneDay = 24 * 60 * 60 * 1000;
+
+function queryError(token) {
+	return new HttpError('query_invalid', 400, {
+		position: token.position,
+		token: token.text
+	});
+}
+
+function tokenize(text) {
+	const tokens = [];
+	let position = 0;
+
+	function readPhrase() {
+		const start = position;
+		const end = text.indexOf('"', start + 1);
+
+		if (end < 0) {
+			throw queryError({ position: start, text: text.substr(start) });
+		}
+
+		position = end + 1;
+		return text.substring(start + 1, end);
+	}
+
+	while (position < text.length) {
+		const char = text.charAt(position);
+		const start = position;
+
+		if (/\s/.test(char)) {
+			position++;
+		} else if (char === '(' || char === ')') {
+			position++;
+			tokens.push({ type: char, text: char, position: start });
+		} else if (char === '-') {
+			position++;
+			tokens.push({ type: 'not', text: char, position: start });
+		} else if (char === '"') {
+			const value = readPhrase();
+			tokens.push({ type: 'phrase', value: value, text: text.substring(start, position), position: start });
+		} else {
+			const word = text.substr(start).match(/^[^\s()"]+/)[0];
+			const separator = word.indexOf(':');
+
+			position += word.length;
+
+			if (word === 'OR') {
+				tokens.push({ type: 'or', text: word, position: start });
+			} else if (separator > 0) {
+				const field = word.substr(0, separator);
+				let value = word.substr(separator + 1);
+
+				if (!value && text.charAt(position) === '"') {
+					value = readPhrase();
+				}
+
+				const token = { type: 'field', field: field, value: value, text: text.substring(start, position), position: start };
+
+				if (fields.indexOf(field) < 0 || !value) {
+					throw queryError(token);
+				}
+
+				tokens.push(token);
+			} else {
+				tokens.push({ type: 'word', value: word, text: word, position: start });
+			}
+		}
+	}
+
+	return tokens;
+}
+
+function parseDay(value, token) {
+	if (!dateRegExp.test(value) || isNaN(Date.parse(value))) {
+		throw queryError(token);
+	}
+
+	return new Date(value);
+}
+
+function nextDay(date) {
+	return new Date(date.getTime() + oneDay);
+}
+
+// Dates are compared by days: `>2017-01-01` starts from the next day, and a single date covers the whole day
+function parseDateRange(token) {
+	const value = token.value;
+	const range = value.split('..');
+
+	if (range.length === 2 && (range[0] || range[1])) {
+		return {
+			from: (range[0] ? parseDay(range[0], token) : null),
+			to: (range[1] ? nextDay(parseDay(range[1], token)) : null)
+		};
+	}
+
+	const [, operator, day] = value.match(/^(>=|<=|>|<|)(.*)$/);
+	const date = parseDay(day, token);
+
+	return ({
+		'>': { from: nextDay(date), to: null },
+		'>=': { from: date, to: null },
+		'<': { from: null, to: date },
+		'<=': { from: null, to: nextDay(date) },
+		'': { from: date, to: nextDay(date) }
+	})[operator];
+}
+
+function parse(text) {
+	const tokens = tokenize(String(text || ''));
+	let index = 0;
+
+	function peek() {
+		return tokens[index];
+	}
+
+	function endToken() {
+		return { position: String(text || '').length, text: '' };
+	}
+
+	function parseOr() {
+		const children = [parseAnd()];
+
+		while (peek() && peek().type === 'or') {
+			index++;
+			children.push(parseAnd());
+		}
+
+		return (children.length > 1 ? { type: 'or', children: children } : children[0]);
+	}
+
+	function parseAnd() {
+		const children = [];
+
+		while (peek() && peek().type !== 'or' && peek().type !== ')') {
+			children.push(parseUnary());
+		}
+
+		if (children.length === 0) {
+			throw queryError(peek() || endToken());
+		}
+
+		return (children.length > 1 ? { type: 'and', children: children } : children[0]);
+	}
+
+	function parseUnary() {
+		const token = peek();
+
+		if (token.type === 'not') {
+			index++;
+
+			if (!peek() || peek().type === 'or' || peek().type === ')') {
+				throw queryError(token);
+			}
+
+			return { type: 'not', child: parseUnary() };
+		}
+
+		return parsePrimary();
+	}
+
+	function parsePrimary() {
+		const token = tokens[index++];
+
+		if (token.type === '(') {
+			const node = parseOr();
+
+			if (!peek() || peek().type !== ')') {
+				throw queryError(token);
+			}
+
+			index++;
+			return node;
+		} else if (token.type === 'field') {
+			if (dateFields.indexOf(token.field) >= 0) {
+				return Object.assign({ type: token.field }, parseDateRange(token));
+			}
+
+			return { type: token.field, value: token.value };
+		} else {
+			return { type: 'text', value: token.value };
+		}
+	}
+
+	const tree = parseOr();
+
+	if (index < tokens.length) {
+		throw queryError(tokens[index]);
+	}
+
+	return tree;
+}
+
+exports.parse = parse;
\ No newline at end of file
@@ -0,0 +1,123 @@
+const _ = require('lodash');
+const Hangul = require('hangul-js');
+
+const wordRegExp = /[0-9a-z]+|[ㄱ-ㅎㅏ-ㅣ가-힣]+/g;
+
+// Longer particles come first so that '에서' is stripped instead of '서'
+const particles = [
+	'으로부터', '에서부터', '이라고', '에게서', '한테서', '으로서', '으로써',
+	'에서', '에게', '한테', '께서', '까지', '부터', '처럼', '보다', '마다', '조차', '이나', '이란', '이다', '으로',
+	'은', '는', '이', '가', '을', '를', '에', '의', '와', '과', '도', '로', '만', '나', '란'
+];
+
+const snippetLength = 160;
+
+function isHangulWord(word) {
+	return /^[ㄱ-ㅎㅏ-ㅣ가-힣]+$/.test(word);
+}
+
+function stripParticle(word) {
+	const particle = particles.find(function(particle) {
+		return (word.length > particle.length && word.endsWith(particle));
+	});
+
+	return (particle ? word.substr(0, word.length - particle.length) : word);
+}
+
+// Splits the Hangul syllables into jamo, so that a query ending in an incomplete syllable still matches as a prefix
+function disassemble(text) {
+	return Hangul.disassemble(String(text || '')).join('');
+}
+
+function toTerm(word) {
+	return (isHangulWord(word) ? disassemble(word) : word);
+}
+
+function splitWords(text) {
+	return (String(text || '').toLowerCase().match(wordRegExp) || []);
+}
+
+function analyzeWord(word) {
+	if (!isHangulWord(word)) {
+		return [word];
+	}
+
+	const stem = stripParticle(word);
+	const words = [stem];
+
+	for (let i = 0; i < word.length - 1; i++) {
+		words.push(word.substr(i, 2));
+	}
+
+	return _.uniq(words);
+}
+
+function analyze(text) {
+	const counts = {};
+
+	splitWords(text).forEach(function(word) {
+		analyzeWord(word).forEach(function(item) {
+			const term = toTerm(item);
+			counts[term] = (counts[term] || 0) + 1;
+		});
+	});
+
+	return counts;
+}
+
+function parseQuery(text) {
+	const words = splitWords(text);
+	const lastWord = words.pop();
+
+	const terms = _.uniq(_.flatMap(words, analyzeWord).map(toTerm));
+	const prefix = (lastWord ? toTerm(stripParticle(lastWord)) : null);
+
+	return {
+		words: _.uniq((lastWord ? words.concat([lastWord]) : words).map(stripParticle)),
+		terms: _.without(terms, prefix),
+		prefix: prefix
+	};
+}
+
+function highlight(text, words) {
+	if (words.length === 0) {
+		return _.escape(text);
+	}
+
+	const pattern = new RegExp(words.map(_.escapeRegExp).join('|'), 'gi');
+	let result = '';
+	let position = 0;
+	let match;
+
+	while ((match = pattern.exec(text)) !== null) {
+		result += _.escape(text.substring(position, match.index));
+		result += `<mark>${_.escape(match[0])}</mark>`;
+		position = match.index + match[0].length;
+	}
+
+	return result + _.escape(text.substr(position));
+}
+
+function snippet(text, words) {
+	text = String(text || '').replace(/\s+/g, ' ').trim();
+
+	const lowerText = text.toLowerCase();
+	const index = words.reduce(function(result, word) {
+		const wordIndex = lowerText.indexOf(word);
+		return ((wordIndex >= 0 && (result < 0 || wordIndex < result)) ? wordIndex : result);
+	}, -1);
+
+	const start = Math.max(0, index - snippetLength / 4);
+	const end = Math.min(text.length, start + snippetLength);
+
+	return [
+		(start > 0 ? '…' : ''),
+		highlight(text.substring(start, end), words),
+		(end < text.length ? '…' : '')
+	].join('');
+}
+
+exports.analyze = analyze;
+exports.disassemble = disassemble;
+exports.parseQuery = parseQuery;
+exports.snippet = snippet;
\ No newline at end of file